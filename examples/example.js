@@ -134,7 +134,13 @@ console.log(JSON.stringify(Order.getSchema(), null, 2));
         },
         "people": {
           "type": "array",
-          "items": {}
+          "items": {
+            "$schema": "http://json-schema.org/schema#",
+            "$id": "Person",
+            "type": "object",
+            "properties": { ... },
+            "additionalProperties": false
+          }
         }
       },
       "additionalProperties": false
@@ -14,21 +14,108 @@
  * limitations under the License.
  */
 import util from './util';
+import { findAccessors, propAccessors } from './accessors';
+import { externalIssues, externalNames, externalSchema, toPropNames } from './aliases';
+import { coerceValue } from './coercion';
+import { cloneModel, modelHash, modelsEqual } from './compare';
+import { commitChanges, copyChanges, revertChanges, trackedChanges } from './changes';
+import { defineComputedProps } from './computed';
+import { ValidationError, makeIssue } from './errors';
+import { registerStringFormats } from './formats';
+import { modelFromSchema } from './fromSchema';
+import { getDialect, toDialect } from './dialects';
+import { addListener, transaction } from './observe';
+import { applyOperations, diffValues } from './patch';
+import { forbiddenItemKeyword, itemSchema, mapSubschemas, propertySchema, schemaWithDefs } from './schema';
+import { dumpView, propView } from './views';
+import {
+  matchesType,
+  selectVariant,
+  toVariantSchema,
+  typeIssue,
+  validateModel,
+} from './validation';
 
 
 // Base class for app models.
 export class TypedModel {
   static formats = new util.FormatManager();
+  static registry = new util.ModelRegistry();
 
-  constructor(values) {
-    values = values || {};
+  // Default options for the model instances. Subclasses can override any of
+  // them and options passed to the constructor take precedence over those.
+  // Options are passed down to nested models.
+  static options = {};
+
+  // Create new model instance out of the given values.
+  //
+  // Options:
+  //  - collectErrors: Do not stop on the first invalid value. Go through the
+  //    whole payload and raise one ValidationError with all issues found.
+  //  - strict: Raise if the values contain unknown properties (unless the
+  //    schema allows additionalProperties) or if the type of the value does
+  //    not match the type declared in the schema.
+  //  - coerce: Convert string values to the type declared in the schema (see
+  //    coerceValue() for details).
+  //  - emptyStrings: 'null' or 'undefined'. Replace empty strings with the
+  //    given value (only for values that are not plain strings). Missing
+  //    values will get their defaults. Requires coerce.
+  //  - immutable: Deeply freeze the instance (nested models, arrays and
+  //    objects included). Use with() to get an updated copy.
+  //  - trackChanges: Remember the initial values so the model can tell what
+  //    has changed since (see getChanges()).
+  //  - checkAssignments: Build the values assigned to the model props the
+  //    same way the constructor does it (nested models, formats, etc.) and
+  //    reject invalid ones. Writes to readOnly props are rejected as well.
+  //  - includeComputed: Include computed props in asObject() (true by
+  //    default). Only used as the model class option.
+  //  - naming: How the props are named outside of the model: 'camel',
+  //    'snake', 'kebab', 'pascal' or a function converting the prop name.
+  //    Only used as the model class option, see externalNames().
+  constructor(values, options) {
+    values = toPropNames(this.constructor, values || {});
+    defineComputedProps(this.constructor);
+    const ctx = makeContext(this.constructor, options);
     const schema = this.constructor.getSchema({ leaveModels: true });
-    const processedValues = buildObject('$', schema, values, {'#': this.constructor});
+    const processedValues = withExternalPaths(this.constructor, 'load', () => {
+      const result = buildObject([], schema, values, ctx);
+      throwIfInvalid(ctx);
+      return result;
+    });
+
+    assignValues(this, processedValues);
+    modelOptions.set(this, ctx.options);
+
+    if (ctx.options.checkAssignments)
+      checkAssignments(this, ctx.options);
+
+    if (ctx.options.trackChanges)
+      commitChanges(this);
+
+    if (ctx.options.immutable)
+      deepFreeze(this);
+  }
+
+  // Register the model so it can be referenced by name: `{$ref: 'Name'}`.
+  //
+  // This allows to define mutually recursive models, where one of them has to
+  // be referenced before it's declared. Returns the model class.
+  static register(name) {
+    TypedModel.registry.register(this, name);
+    return this;
+  }
 
-    this.setValues(processedValues);
+  // Create a model class out of a JSON schema document.
+  //
+  // The new class extends the class this is called on, unless *base* is given.
+  // See modelFromSchema() for details.
+  static fromSchema(schema, { name, base = this } = {}) {
+    return modelFromSchema(schema, { name, base });
   }
 
   // Return all properties including inherited from the parent class.
+  //
+  // Computed props (the ones with `compute`) are always readOnly.
   static get allProps() {
     return util.mapObject(
       {
@@ -37,14 +124,42 @@ export class TypedModel {
         ...this.props,
       },
       // Filter out props set to undefined so they are not part of the schema.
-      (name, value) => value === undefined ? undefined : [name, value]
+      (name, value) => {
+        if (value === undefined)
+          return undefined;
+
+        return [name, value.compute ? { ...value, readOnly: true } : value];
+      }
     );
   }
 
+  // Return model options including the ones inherited from the parent class.
+  static get allOptions() {
+    return {
+      ...collectFromBases(this, 'options'),
+      ...this.options,
+    };
+  }
+
   // Get JSON schema for this type.
   //
   // leaveModels will prevent child types to be converted to schemas
-  static getSchema({ leaveModels = false } = {}) {
+  //
+  // defs will define each referenced model once in `$defs` and use
+  // `{$ref: '#/$defs/Name'}` wherever it's used, instead of inlining the full
+  // model schema. Pass `defs: 'definitions'` to use `definitions` instead.
+  //
+  // dialect will rewrite the schema for the given JSON schema dialect
+  // ('draft-07', '2019-09', '2020-12' or 'openapi-3.0'). This also strips all
+  // values that cannot be serialized, like function defaults.
+  static getSchema({ leaveModels = false, defs = false, dialect } = {}) {
+    // The dialect decides which keyword is used for definitions.
+    if (dialect)
+      return toDialect(this.getSchema({ defs: defs && getDialect(dialect).defsKey }), dialect);
+
+    if (defs)
+      return schemaWithDefs(this, defs === true ? '$defs' : defs);
+
     const schema = {
       $schema: 'http://json-schema.org/schema#',
       $id: this.name,
@@ -54,23 +169,46 @@ export class TypedModel {
       ...(this.schema || {}),
     };
 
-    if (!util.isEmpty(this.allProps)) {
-      schema.properties = util.mapObject(this.allProps, (name, value) => ([
-        name,
-        (isModelClass(value.type) && !leaveModels)
-          // We don't need to pass leaveModels as if models are left, we will never
-          // go deeper to use getSchema()
-          ? value.type.getSchema()
-          : value
-      ]));
+    if (!util.isEmpty(this.allProps))
+      schema.properties = this.allProps;
+
+    // We don't need to track inlined models as if models are left, we will
+    // never go deeper to use getSchema()
+    if (leaveModels)
+      return schema;
+
+    inlinedModels.add(this);
+    try {
+      // Models can be used by the props as well as by the static schema (e.g.
+      // as additionalProperties).
+      return externalSchema(this, propAsSchema(schema));
     }
+    finally {
+      inlinedModels.delete(this);
+    }
+  }
 
-    return schema;
+  // Validate the given values against the model schema.
+  //
+  // Returns a list of errors or null if the values are valid.
+  static validate(values) {
+    const errors = validateModel(this, values);
+    return errors.length > 0 ? errors : null;
+  }
+
+  // Validate the current state of the model instance.
+  //
+  // Same as the static version, but validates the instance values.
+  validate() {
+    return this.constructor.validate(this);
   }
 
   // Convert the model instance to a plain JS object.
-  asObject() {
-    return modelAsObject(this);
+  //
+  // writeOnly props are left out. The options select which props are dumped
+  // (include, exclude, groups, etc.), see dumpView() for details.
+  asObject(options) {
+    return modelAsObject(this, dumpView(options));
   }
 
   // A quick converter for plain objects.
@@ -82,62 +220,504 @@ export class TypedModel {
     return instance.asObject();
   }
 
+  // Create a deep copy of the model instance. See cloneModel().
+  clone() {
+    return cloneModel(this, (model, copy) => setUpCopy(model, copy, optionsOf(model)));
+  }
+
+  // Check if the other model has the same class and equal values.
+  //
+  // Pass `includeReadOnly: true` to compare readOnly props as well. See
+  // modelsEqual() for details.
+  equals(other, options) {
+    return modelsEqual(this, other, options);
+  }
+
+  // Return a stable hash of the model values (a hex string). Equal models
+  // always have the same hash. See modelHash().
+  hash(options) {
+    return modelHash(this, options);
+  }
+
+  // Create a JSON patch (RFC 6902) that turns *a* into *b*.
+  //
+  // The patch is based on the dumped (JSON) representation of both models,
+  // plain values are converted to model instances first.
+  static diff(a, b) {
+    return diffValues(dumpModel(this, a), dumpModel(this, b));
+  }
+
+  // Apply JSON patch (RFC 6902) operations to the model.
+  //
+  // The operations are applied to the dumped (JSON) representation of the
+  // model and the result is built again the same way the constructor does it,
+  // so nested models and format values are recreated. Errors point at the
+  // patched path. Returns the patched model, which for immutable models is a
+  // new instance.
+  applyPatch(ops, options) {
+    const ctx = makeContext(this.constructor, options);
+    const schema = this.constructor.getSchema({ leaveModels: true });
+    const values = applyOperations(dumpModel(this.constructor, this), ops);
+
+    if (!matchesType('object', values))
+      throw new ValidationError([typeIssue([], 'object', values)]);
+
+    // Errors point at the patched paths, so the props keep their dump names.
+    const processed = withExternalPaths(this.constructor, 'dump', () => {
+      const result = buildObject([], schema, toPropNames(this.constructor, values, 'dump'), ctx);
+      throwIfInvalid(ctx);
+      return result;
+    });
+
+    const isFrozen = Object.isFrozen(this);
+    const target = isFrozen ? Object.create(this.constructor.prototype) : this;
+    transaction(target, () => assignValues(target, processed));
+
+    return isFrozen ? deepFreeze(target) : target;
+  }
+
+  // Check if the model (or the given prop) has changed since the last commit.
+  //
+  // Requires the trackChanges option.
+  isDirty(propName) {
+    const changes = trackedChanges(this);
+
+    if (propName === undefined)
+      return changes.length > 0;
+
+    return changes.some(change => change.path[0] === propName);
+  }
+
+  // List all the changes made since the last commit.
+  //
+  // Returns a list of `{path, pointer, old, new}` where the path can point
+  // into nested models, arrays or objects. Requires the trackChanges option.
+  getChanges() {
+    return trackedChanges(this);
+  }
+
+  // Mark the current values as the committed ones (e.g. after saving them).
+  commit() {
+    commitChanges(this);
+  }
+
+  // Restore the values from the last commit.
+  revert() {
+    transaction(this, () => revertChanges(this));
+  }
+
+  // Call *callback* whenever the model changes.
+  //
+  // Only the 'change' event is supported. Changes made inside nested models,
+  // arrays and objects are reported too. The callback gets an event with the
+  // list of `{path, old, new}` changes, for a single change its path, old and
+  // new value are set on the event itself. Returns a function that removes
+  // the listener.
+  on(event, callback) {
+    if (event !== 'change')
+      throw new Error(`Unknown event: ${event}`);
+
+    return addListener(this, undefined, callback);
+  }
+
+  // Call *callback* whenever the value at *path* changes.
+  //
+  // The path is a dot separated string ('table.people.0') or a list of keys.
+  // Changes made inside the value and to any of its parents are reported as
+  // well. Returns a function that removes the listener.
+  watch(path, callback) {
+    return addListener(this, Array.isArray(path) ? path : path.split('.'), callback);
+  }
+
+  // Run *fn* and report all changes it made as a single event.
+  //
+  // Returns whatever *fn* returned.
+  transaction(fn) {
+    return transaction(this, fn);
+  }
+
   // @deprecated see .asJsonStr()
   asJson(indent) {
     return this.asJsonStr(indent);
   }
 
-  asJsonStr(indent) {
-    return JSON.stringify(this.asObject(), null, indent);
+  // Convert the model instance to a JSON string. Options are the same as for
+  // asObject().
+  asJsonStr(indent, options) {
+    return JSON.stringify(this.asObject(options), null, indent);
   }
 
-  setValues(values) {
+  setValues(values, options) {
     // Set values differs from the constructor in that it won't fill in defaults
     // if something is missing in the given values. It will simply not set those
     // missing fields.
-    const schema = this.constructor.getSchema({ leaveModels: true });
-    const refs = {'#': this.constructor};
-
-    let processed = {};
-
-    // If properties are not defined and we're not explicitly forbidding
-    // additional props then we just assume we should return all values.
-    if (!schema.properties && schema.additionalProperties !== false) {
-      processed = values;
-    } else {
-      processed = Object.entries(schema.properties)
-        // Skip read only fields and those that are not present in *values*.
-        .filter(([propName, propSchema]) => (
-          Object.prototype.hasOwnProperty.call(values, propName)
-          && !propSchema.readOnly
-        ))
-        .reduce((result, [propName, propSchema]) => ({
-          ...result,
-          [propName]: buildValue(`$.${propName}`, propSchema, values[propName], refs)
-        }), {});
+    if (Object.isFrozen(this))
+      throw new Error(`${this.constructor.name} is immutable, use with() instead`);
+
+    const ctx = partialContext(this, options);
+    const processed = buildPartial(this.constructor, values, ctx);
+
+    transaction(this, () => assignValues(this, processed));
+  }
+
+  // Return a copy of the model with the given values changed.
+  //
+  // Values are converted the same way setValues() does it. All the values
+  // that are not changed are shared with the original instance, so this is
+  // cheap for immutable models. The copy is immutable if the model is.
+  with(values, options) {
+    const ctx = partialContext(this, options);
+    const processed = buildPartial(this.constructor, values, ctx);
+
+    const copy = Object.create(this.constructor.prototype);
+    assignValues(copy, { ...this, ...processed });
+    setUpCopy(this, copy, ctx.options);
+
+    return (ctx.options.immutable || Object.isFrozen(this)) ? deepFreeze(copy) : copy;
+  }
+}
+
+
+// Models currently being inlined by getSchema(), used to detect cycles.
+const inlinedModels = new Set();
+// Options the models were created with, reapplied to their copies.
+const modelOptions = new WeakMap();
+// Models with checked assignments: model => build(path, schema, value).
+const checkedModels = new WeakMap();
+// Arrays and objects checking the values assigned to their items.
+const checkedContainers = new WeakSet();
+
+
+// Convert prop definition to a JSON schema (replace models with their schemas).
+function propAsSchema(prop) {
+  // Boolean schemas, e.g. `true` for any tuple item.
+  if (typeof prop === 'boolean')
+    return prop;
+
+  // Models referenced by their registered name are inlined the same way, so
+  // the schema never points at definitions it doesn't have. '#' always refers
+  // to the model that owns the schema (its $id sets the base URI).
+  const RefModel = !prop.type && prop.$ref !== '#' && TypedModel.registry.resolve(prop.$ref);
+  const ModelCls = isModelClass(prop.type) ? prop.type : RefModel;
+
+  if (ModelCls) {
+    // Inlining a model that is already being inlined higher up would never
+    // end. We reference it by its $id instead.
+    return inlinedModels.has(ModelCls)
+      ? { $ref: ModelCls.getSchema({ leaveModels: true }).$id }
+      : ModelCls.getSchema();
+  }
+
+  // Models can be nested deeper, inside arrays, objects or oneOf lists.
+  const schema = mapSubschemas(prop, subschema => propAsSchema(toVariantSchema(subschema)));
+
+  if (prop.discriminator && prop.discriminator.mapping) {
+    schema.discriminator = {
+      ...prop.discriminator,
+      // Models are referenced by name ($id of their schema).
+      mapping: util.mapObject(prop.discriminator.mapping, (tag, target) => ([
+        tag,
+        isModelClass(target) ? target.name : target,
+      ])),
+    };
+  }
+
+  return schema;
+}
+
+
+// Create the context shared by all build functions while building a single
+// model instance.
+function makeContext(ModelCls, options) {
+  return {
+    refs: {'#': ModelCls},
+    options: { ...ModelCls.allOptions, ...options },
+    issues: [],
+  };
+}
+
+
+// Report issues found while building values.
+//
+// Raises right away unless we're collecting all errors.
+function reportIssues(ctx, issues) {
+  if (!ctx.options.collectErrors)
+    throw new ValidationError(issues);
+
+  ctx.issues.push(...issues);
+}
+
+
+// Raise all issues collected while building the values (collectErrors mode).
+function throwIfInvalid(ctx) {
+  if (ctx.issues.length > 0)
+    throw new ValidationError(ctx.issues);
+}
+
+
+// Run *fn* building the model values and raise its validation errors with
+// the props named the way they were given (see externalIssues()).
+function withExternalPaths(ModelCls, direction, fn) {
+  try {
+    return fn();
+  }
+  catch (err) {
+    if (!(err instanceof ValidationError))
+      throw err;
+
+    const error = new ValidationError(externalIssues(ModelCls, err.issues, direction));
+    error.cause = err.cause;
+    throw error;
+  }
+}
+
+
+function assignValues(model, values) {
+  // The values are already built, there's no need to run them through the
+  // accessors again.
+  const accessors = findAccessors(model);
+  const build = checkedModels.get(model);
+
+  Object.entries(values).map(([name, value]) => {
+    if (accessors && util.hasOwn(accessors.values, name)) {
+      const propSchema = model.constructor.allProps[name];
+      accessors.assign(name, build ? checkedContainer([name], propSchema, value, build) : value);
+    }
+    else {
+      model[name] = value;
     }
+  });
+}
+
+
+// Build every value assigned to the model props.
+//
+// Assigned values go through buildValue(), so they are converted the same
+// way the constructor does it. Types are always checked (as in strict mode)
+// as assigning a value of a different type is almost always a bug.
+function checkAssignments(model, options) {
+  const ModelCls = model.constructor;
+  const accessors = propAccessors(model);
+  const build = (path, schema, value) => {
+    const ctx = makeContext(ModelCls, { ...options, strict: true });
+    const built = buildValue(path, schema, value, ctx);
+
+    throwIfInvalid(ctx);
+    return checkedContainer(path, schema, built, build);
+  };
+
+  checkedModels.set(model, build);
+  accessors.build = (name, propSchema, value) => build([name], propSchema, value);
 
-    Object.entries(processed).map(([name, value]) => {
-      this[name] = value
+  Object.entries(ModelCls.allProps)
+    .filter(([name]) => util.hasOwn(accessors.values, name))
+    .forEach(([name, propSchema]) => {
+      accessors.values[name] = checkedContainer([name], propSchema, accessors.values[name], build);
     });
-  }
+}
+
+
+// Make the array or plain object held by a checked prop build the values
+// assigned to its items (e.g. `model.people.push({...})`) with *build*.
+//
+// Nested arrays and objects are checked as well. Items moved within the
+// array (sort(), splice(), etc.) were already built, so they're kept as they
+// are.
+function checkedContainer(path, schema, value, build) {
+  const isArray = Array.isArray(value);
+
+  if ((!isArray && !util.isPlainObject(value)) || Object.isFrozen(value) || checkedContainers.has(value))
+    return value;
+
+  const itemPath = key => [...path, isArray ? Number(key) : key];
+  const itemSchemaAt = key => {
+    const result = isArray ? itemSchema(schema, Number(key)) : propertySchema(schema, key);
+    return (typeof result === 'object' && result !== null) ? result : {};
+  };
+  const isForbidden = key => (isArray
+    ? forbiddenItemKeyword(schema, Number(key)) !== undefined
+    : propertySchema(schema, key) === false);
+
+  Object.keys(value).forEach(key => {
+    value[key] = checkedContainer(itemPath(key), itemSchemaAt(key), value[key], build);
+  });
+
+  const proxy = new Proxy(value, {
+    set(obj, key, item) {
+      const isItem = typeof key === 'string' && (!isArray || /^(0|[1-9][0-9]*)$/.test(key));
+
+      if (!isItem || (isArray && obj.includes(item)))
+        return Reflect.set(obj, key, item);
+
+      if (isForbidden(key)) {
+        const keyword = isArray ? forbiddenItemKeyword(schema, Number(key)) : 'additionalProperties';
+        throw new ValidationError([
+          makeIssue(itemPath(key), keyword, 'Is not allowed', { expected: false, actual: item }),
+        ]);
+      }
+
+      obj[key] = build(itemPath(key), itemSchemaAt(key), item);
+      return true;
+    },
+  });
+
+  checkedContainers.add(proxy);
+  return proxy;
+}
+
+
+// Get the plain JSON representation of the model (or the values for it).
+function dumpModel(ModelCls, value) {
+  const model = isModel(value) ? value : new ModelCls(value);
+  return JSON.parse(model.asJsonStr(undefined, { includeWriteOnly: true }));
+}
+
+
+// Build only the values present in *values*, without applying defaults.
+//
+// Raises if any of the values is invalid.
+// Context for building the values given to setValues() or with() on *model*.
+//
+// The options the model was created with apply unless overridden. Models
+// with checked assignments take the values as strictly as the ones assigned
+// one by one.
+function partialContext(model, options) {
+  const ctx = makeContext(model.constructor, { ...optionsOf(model), ...options });
+
+  if (ctx.options.checkAssignments)
+    ctx.options.strict = true;
+
+  return ctx;
+}
+
+
+function optionsOf(model) {
+  return modelOptions.get(model) || model.constructor.allOptions;
+}
+
+
+// Give the *copy* of *model* (see clone() and with()) the behaviour the
+// *options* ask for. Tracked changes are kept from the model.
+function setUpCopy(model, copy, options) {
+  modelOptions.set(copy, options);
+
+  if (options.checkAssignments)
+    checkAssignments(copy, options);
+
+  if (options.trackChanges)
+    copyChanges(model, copy);
+}
+
+
+function buildPartial(ModelCls, values, ctx) {
+  return withExternalPaths(ModelCls, 'load', () => {
+    const result = buildPartialValues(ModelCls, values, ctx);
+    throwIfInvalid(ctx);
+    return result;
+  });
+}
+
+
+function buildPartialValues(ModelCls, values, ctx) {
+  const schema = ModelCls.getSchema({ leaveModels: true });
+  values = toPropNames(ModelCls, values);
+
+  // If properties are not defined and we're not explicitly forbidding
+  // additional props then we just assume we should return all values.
+  if (!schema.properties && schema.additionalProperties !== false)
+    return values;
+
+  checkUnknownProps([], schema, values, ctx);
+
+  return Object.entries(schema.properties || {})
+    // Skip read only fields and those that are not present in *values*.
+    .filter(([propName, propSchema]) => (
+      util.hasOwn(values, propName)
+      && !propSchema.readOnly
+    ))
+    .reduce((result, [propName, propSchema]) => ({
+      ...result,
+      [propName]: buildValue([propName], propSchema, values[propName], ctx)
+    }), {});
+}
+
+
+// Freeze the value along with all models, arrays and plain objects it holds.
+//
+// Models are frozen in place. Arrays and plain objects might still be used by
+// whoever passed them in (schemaless values are stored as they are), so we
+// freeze copies of them instead. Already frozen values are shared as they
+// are. Values loaded by formats (like Date instances) are left alone.
+function deepFreeze(value) {
+  if (Object.isFrozen(value))
+    return value;
+
+  if (Array.isArray(value))
+    return Object.freeze(value.map(deepFreeze));
+
+  if (util.isPlainObject(value))
+    return Object.freeze(util.mapObject(value, (key, item) => [key, deepFreeze(item)]));
+
+  if (!isModel(value))
+    return value;
+
+  // Copying the values is not a change, so we skip the accessors.
+  const accessors = findAccessors(value);
+  Object.keys(value).forEach(name => {
+    if (accessors && util.hasOwn(accessors.values, name))
+      accessors.values[name] = deepFreeze(accessors.values[name]);
+    else
+      value[name] = deepFreeze(value[name]);
+  });
+
+  return Object.freeze(value);
+}
+
+
+// Check if the value could have been loaded by a string format (Date, URL
+// and other class instances).
+function isLoadedValue(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value) && !util.isPlainObject(value);
+}
+
+
+// Pick the type the value has out of a type list (e.g. `['array', 'null']`).
+//
+// The value is then built, checked and dumped the same way it would be with
+// that single type, so nullable arrays get their items built and nullable
+// format strings get loaded. Format values might already be loaded, those
+// count as strings. Values matching none of the types keep the whole list.
+function resolveTypeList(schema, value) {
+  if (!Array.isArray(schema.type) || value === undefined || value === null)
+    return schema;
+
+  const type = schema.type.find(candidate => matchesType(candidate, value))
+    || (isLoadedValue(value) && schema.type.includes('string') ? 'string' : undefined);
+
+  return (type === undefined) ? schema : { ...schema, type };
 }
 
 
 // Collect properties from all base classes of the given model class.
 function collectBaseProps(ModelCls) {
+  return collectFromBases(ModelCls, 'props');
+}
+
+
+// Merge the given static attribute from all base classes of the model class.
+function collectFromBases(ModelCls, attrName) {
   const baseClasses = [];
 
   for (let b = Object.getPrototypeOf(ModelCls); b !== TypedModel; b = Object.getPrototypeOf(b)) {
     baseClasses.push(b);
   }
 
-  let props = {};
+  let result = {};
   for (let i = baseClasses.length - 1; i >= 0; --i) {
-    props = { ...props, ...baseClasses[i].props };
+    result = { ...result, ...baseClasses[i][attrName] };
   }
 
-  return props;
+  return result;
 }
 
 
@@ -145,101 +725,322 @@ function collectBaseProps(ModelCls) {
 //
 // This will use defaults from the schema as well as convert all nested models
 // to instances of corresponding model classes.
-function buildObject(name, schema, values, refs) {
+function buildObject(path, schema, values, ctx) {
+  const isDictionary = isDictionarySchema(schema);
+
   // If properties are not defined and we're not explicitly forbidding
   // additional props then we just assume we should return all values.
-  if (!schema.properties && schema.additionalProperties !== false) {
+  if (!schema.properties && schema.additionalProperties !== false && !isDictionary) {
     return values;
   }
-  return Object.entries(schema.properties)
+
+  checkUnknownProps(path, schema, values, ctx);
+
+  const properties = schema.properties || {};
+  const result = Object.entries(properties)
     // Skip read only fields. We should not try to write them.
     .filter(([_, propSchema]) => !propSchema.readOnly)
     .reduce((result, [propName, propSchema]) => ({
       ...result,
-      [propName]: buildValue(`${name}.${propName}`, propSchema, values[propName], refs)
+      [propName]: buildValue([...path, propName], propSchema, values[propName], ctx)
     }), {});
+
+  if (!isDictionary)
+    return result;
+
+  // Dictionaries: all other values are built with the patternProperties or
+  // additionalProperties schema. Values not described by any schema are kept
+  // as they are, unless additionalProperties is false.
+  Object.keys(values)
+    .filter(key => !util.hasOwn(properties, key))
+    .forEach(key => {
+      const valueSchema = propertySchema(schema, key);
+
+      if (typeof valueSchema === 'object' && valueSchema !== null)
+        result[key] = buildValue([...path, key], valueSchema, values[key], ctx);
+      else if (valueSchema !== false)
+        result[key] = values[key];
+    });
+
+  return result;
+}
+
+
+// Check if the object schema describes the values of its other properties.
+function isDictionarySchema(schema) {
+  const { additionalProperties, patternProperties } = schema;
+
+  return !util.isEmpty(patternProperties || {})
+    || (typeof additionalProperties === 'object' && additionalProperties !== null);
 }
 
 
 // Build a single value based on the schema and the given value.
-function buildValue(name, schema, value, refs) {
+//
+// Any error raised while building the value is turned into a ValidationError
+// pointing at *path*. In collectErrors mode the issues are stored in the
+// context and the value is left undefined.
+function buildValue(path, schema, value, ctx) {
+  // Used to tell what failed if the format loader or default factory throws.
+  let keyword = 'default';
+
   try {
+    if (ctx.options.coerce && value !== undefined)
+      value = coerceValue(path, schema, value, ctx.options);
+
+    // Defaults come from the schema so we don't type check them.
+    const isDefault = value === undefined;
+
     if (value === undefined)
       value = (typeof schema.default === 'function') ? schema.default() : schema.default;
 
-    if (!schema.type && schema.$ref)
-      schema = { type: refs[schema.$ref] };
+    schema = resolveTypeList(schema, value);
+
+    if (!schema.type && schema.$ref && value !== undefined) {
+      keyword = '$ref';
+      schema = { type: resolveRef(schema.$ref, ctx.refs) };
+    }
 
-    if (schema.type === 'array')
-      return (value === undefined) ? [] : buildArray(name, schema, value, refs);
+    if (ctx.options.strict && !isDefault)
+      checkType(path, schema, value);
+
+    if (schema.type === 'array') {
+      if (value === undefined)
+        return [];
+      // E.g. empty strings replaced with null (see emptyStrings option).
+      if (!Array.isArray(value))
+        throw new ValidationError([typeIssue(path, schema.type, value)]);
+
+      return buildArray(path, schema, value, ctx);
+    }
 
     if (value === undefined)
       return undefined;
 
+    if (schema.oneOf || schema.anyOf)
+      return buildValue(path, findVariant(path, schema, value, ctx), value, ctx);
+
     if (schema.type === 'object')
-      return buildObject(name, schema, value, refs);
+      return buildObject(path, schema, value, ctx);
 
-    if (isModelClass(schema.type))
-      return new schema.type(value);
+    if (isModelClass(schema.type)) {
+      keyword = 'model';
+      return buildModel(path, schema.type, value, ctx);
+    }
 
     if (schema.type === 'string' && schema.format) {
+      keyword = 'format';
       return TypedModel.formats.loadValue(schema.format, value);
     }
 
     return value;
   }
   catch(err) {
-    // On the first catch, the name will be the most nested, do not overwrite it
-    // Inside the parent catch (values can be nested via arrays and objects).
-    if (!err.traceback) {
-      err.traceback = name;
-    }
-    // err.traceback = err.traceback || '';
-    // if (!err.traceback.startsWith(name))
-    // err.traceback.push(name);
-    throw err
+    // Errors raised by nested build calls already know their path.
+    const error = (err instanceof ValidationError)
+      ? err
+      : ValidationError.fromError(path, err, keyword);
+
+    if (!ctx.options.collectErrors)
+      throw error;
+
+    ctx.issues.push(...error.issues);
+    return undefined;
+  }
+}
+
+
+// Strict mode: make sure the value type matches the one declared in the schema.
+function checkType(path, schema, value) {
+  if (!schema.type || matchesType(schema.type, value))
+    return;
+
+  // Values for string formats might already be loaded (e.g. Date instances
+  // for date-time format). Primitives and plain objects never are.
+  const isLoaded = isLoadedValue(value) && TypedModel.formats.findLoader(schema.format);
+
+  if (schema.type !== 'string' || !isLoaded)
+    throw new ValidationError([typeIssue(path, schema.type, value)]);
+}
+
+
+// Strict mode: report all values that are not defined in the schema.
+//
+// Only applies if the schema does not explicitly allow additional properties.
+function checkUnknownProps(path, schema, values, ctx) {
+  if (!ctx.options.strict || schema.additionalProperties)
+    return;
+
+  const issues = Object.keys(values)
+    // Known props and the ones matching patternProperties.
+    .filter(propName => !propertySchema(schema, propName))
+    .map(propName => makeIssue(
+      [...path, propName],
+      'additionalProperties',
+      'Is not allowed',
+      { expected: false, actual: values[propName] },
+    ));
+
+  if (issues.length > 0)
+    reportIssues(ctx, issues);
+}
+
+
+// Find the oneOf/anyOf variant matching the value.
+function findVariant(path, schema, value, ctx) {
+  const issues = [];
+  const variant = selectVariant(path, schema, value, ctx.refs, issues);
+
+  if (!variant)
+    throw new ValidationError(issues);
+
+  return variant;
+}
+
+
+// Instantiate a nested model.
+//
+// Issues raised by the nested model are relative to it, so we need to prefix
+// them with the path of the nested model within the current one.
+function buildModel(path, ModelCls, value, ctx) {
+  // Immutable instances can be safely shared.
+  if (value instanceof ModelCls && Object.isFrozen(value))
+    return value;
+
+  try {
+    return new ModelCls(value, ctx.options);
+  }
+  catch (err) {
+    throw (err instanceof ValidationError) ? err.prefixed(path) : err;
   }
 }
 
 
 // Convert JSON array into a proper array object (with nested models properly
 // instantiated.
-function buildArray(name, schema, data, refs) {
-  return data.map((x, idx) => (
-    buildValue(`${name}[${idx}]`, schema.items, x, refs)
-  ));
+//
+// Tuples build every item with the schema for its position. Items the schema
+// forbids (`items: false` or `additionalItems: false`) are left out, or
+// reported in strict mode, the same way unknown object props are.
+function buildArray(path, schema, data, ctx) {
+  const forbidden = data
+    .map((x, idx) => [idx, forbiddenItemKeyword(schema, idx)])
+    .filter(([_, keyword]) => keyword !== undefined);
+
+  if (ctx.options.strict && forbidden.length > 0) {
+    reportIssues(ctx, forbidden.map(([idx, keyword]) => makeIssue(
+      [...path, idx],
+      keyword,
+      'Is not allowed',
+      { expected: false, actual: data[idx] },
+    )));
+  }
+
+  return data
+    .filter((x, idx) => forbiddenItemKeyword(schema, idx) === undefined)
+    .map((x, idx) => buildValue([...path, idx], itemSchema(schema, idx), x, ctx));
 }
 
 
-export function modelAsObject(model) {
-  const schema = model.constructor.getSchema();
+// Convert the model to a plain JS object, dumping only what the *view*
+// selects (see dumpView()).
+export function modelAsObject(model, view = dumpView()) {
+  const ModelCls = model.constructor;
+  const schema = ModelCls.getSchema();
+  const names = externalNames(ModelCls, 'dump');
+
   if (!schema.properties && schema.additionalProperties !== false) {
-    return { ...model };
+    return util.mapObject(model, (name, value) => [name, dumpValue({}, value, view)]);
   } else {
-    return Object.entries(model.constructor.allProps)
-      .reduce((result, [name, propSchema]) => {
-        const value = model[name];
-        let processed;
+    return Object.entries(ModelCls.allProps).reduce((result, [name, propSchema]) => {
+      const valueView = propView(ModelCls, view, name, propSchema);
+
+      if (!valueView)
+        return result;
+
+      return { ...result, [names[name]]: dumpValue(propSchema, model[name], valueView) };
+    }, {});
+  }
+}
+
+
+// Dump a single value, the opposite of buildValue().
+//
+// Walks the value along with its schema, so the result is plain JSON data at
+// any depth: models are dumped with modelAsObject(), values loaded by formats
+// are dumped by their format and arrays (tuples included), objects and
+// dictionaries are dumped item by item.
+function dumpValue(schema, value, view) {
+  if (value === undefined || value === null)
+    return value;
+
+  // Polymorphic props can hold any model and $ref always points to a model,
+  // so we check the value itself.
+  if (isModel(value))
+    return modelAsObject(value, view);
+
+  schema = resolveTypeList(schema, value);
+
+  if (schema.oneOf || schema.anyOf)
+    return dumpValue(dumpVariant(schema, value), value, view);
 
-        if (value === undefined || value === null)
-          processed = value;
-        else if (isModelClass(propSchema.type))
-          processed = modelAsObject(value);
-        else if (propSchema.type === 'string' && typeof value !== 'string') {
-          const format = TypedModel.formats.find(propSchema.format);
-          processed = format ? format.dump(value) : (value && value.toString());
-        }
-        else
-          processed = value;
+  if (Array.isArray(value))
+    return value.map((item, idx) => dumpValue(itemSchema(schema, idx), item, view));
 
-        return { ...result, [name]: processed };
-      }, {});
+  if (schema.type === 'string' && typeof value !== 'string') {
+    const format = TypedModel.formats.findLoader(schema.format);
+    return format ? format.dump(value) : value.toString();
   }
+
+  // Views go through objects (dictionaries) the same way they do for arrays.
+  if (util.isPlainObject(value)) {
+    return util.mapObject(value, (key, item) => {
+      const valueSchema = propertySchema(schema, key);
+      return [key, dumpValue(typeof valueSchema === 'object' ? valueSchema : {}, item, view)];
+    });
+  }
+
+  // Values the schema doesn't tell us how to dump (like dates in a schemaless
+  // prop) are dumped the same way JSON.stringify() would do it.
+  if (typeof value === 'object' && typeof value.toJSON === 'function')
+    return value.toJSON();
+
+  return value;
+}
+
+
+// Find the oneOf/anyOf variant the value was built with.
+//
+// Values loaded by formats are no longer strings, so for those we look for
+// a variant with a registered format.
+function dumpVariant(schema, value) {
+  const variants = (schema.oneOf || schema.anyOf).map(toVariantSchema);
+  const variant = variants.find(candidate => (
+    isLoadedValue(value)
+      ? candidate.type === 'string' && TypedModel.formats.findLoader(candidate.format)
+      : matchesType(candidate.type, value)
+  ));
+
+  return variant || {};
+}
+
+
+// Find model class referenced by $ref.
+//
+// '#' always refers to the current model, any other value is looked up in the
+// model registry.
+export function resolveRef(ref, refs) {
+  const ModelCls = refs[ref] || TypedModel.registry.resolve(ref);
+
+  if (!ModelCls)
+    throw new Error(`Unknown model $ref: ${ref}`);
+
+  return ModelCls;
 }
 
 
 export const isModel = obj => obj instanceof TypedModel;
-export const isModelClass = cls => cls.prototype instanceof TypedModel;
+export const isModelClass = cls => !!cls && cls.prototype instanceof TypedModel;
 
 
 // handle date and date-time formats out of the box (can be overwritten).
@@ -251,3 +1052,5 @@ TypedModel.formats.register('date-time', {
   load: str => str && new Date(str),
   dump: val => val && val.toISOString(),
 });
+// Validate the other standard string formats (uuid, email, uri etc.).
+registerStringFormats(TypedModel.formats);
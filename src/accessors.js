@@ -0,0 +1,92 @@
+/*
+ * Copyright 2020 Mateusz Klos
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+import { ValidationError, makeIssue } from './errors';
+
+
+// Accessors state, by model instance.
+const states = new WeakMap();
+
+
+// Replace the model props with accessors backed by a value store.
+//
+// This lets us hook into every assignment to the model props (see the
+// checkAssignments option and observers). Writes to readOnly props are
+// rejected. Returns the accessors state (the existing one if the accessors
+// are already installed):
+//
+//  - values: The current prop values.
+//  - build: Optional (name, propSchema, value) => value function converting
+//    all assigned values.
+//  - onChange: Optional (name, oldValue) => void function called after a
+//    prop value has changed.
+//  - assign(name, value): Store the value as is and report the change.
+export function propAccessors(model) {
+  if (states.has(model))
+    return states.get(model);
+
+  const ModelCls = model.constructor;
+  const state = {
+    values: {},
+    build: undefined,
+    onChange: undefined,
+    assign(name, value) {
+      const old = state.values[name];
+      state.values[name] = value;
+
+      if (state.onChange)
+        state.onChange(name, old);
+    },
+  };
+
+  Object.entries(ModelCls.allProps).forEach(([name, propSchema]) => {
+    if (propSchema.readOnly) {
+      // Keep the getters defined by the model class working.
+      Object.defineProperty(model, name, {
+        configurable: true,
+        enumerable: false,
+        get: () => Reflect.get(ModelCls.prototype, name, model),
+        set: value => {
+          throw new ValidationError([
+            makeIssue([name], 'readOnly', 'Is read only', { actual: value }),
+          ]);
+        },
+      });
+      return;
+    }
+
+    state.values[name] = model[name];
+    Object.defineProperty(model, name, {
+      configurable: true,
+      enumerable: true,
+      get: () => state.values[name],
+      set: value => {
+        if (Object.isFrozen(model))
+          throw new TypeError(`Cannot assign to read only property '${name}' of ${ModelCls.name}`);
+
+        state.assign(name, state.build ? state.build(name, propSchema, value) : value);
+      },
+    });
+  });
+
+  states.set(model, state);
+  return state;
+}
+
+
+// Return the accessors state if the model has them installed.
+export function findAccessors(model) {
+  return states.get(model);
+}
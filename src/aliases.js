@@ -0,0 +1,152 @@
+/*
+ * Copyright 2020 Mateusz Klos
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+import util from './util';
+import { makeIssue } from './errors';
+
+
+// Naming strategies, each one joins the lower case words of the prop name.
+const NAMING = {
+  camel: words => words.map((word, idx) => (idx === 0 ? word : capitalize(word))).join(''),
+  pascal: words => words.map(capitalize).join(''),
+  snake: words => words.join('_'),
+  kebab: words => words.join('-'),
+};
+
+// Prop keywords that configure the model and are not part of its schema.
+const MODEL_KEYWORDS = ['alias', 'loadAlias', 'dumpAlias', 'compute', 'dependsOn', 'groups'];
+
+
+// Get the external names of the model props: `{name: externalName}`.
+//
+// *direction* is either 'load' (names accepted by the constructor) or 'dump'
+// (names used by asObject()). The name comes from the first one of:
+//  - loadAlias/dumpAlias of the prop
+//  - alias of the prop
+//  - the naming option of the model: 'camel', 'snake', 'kebab', 'pascal' or
+//    a function converting the prop name.
+export function externalNames(ModelCls, direction) {
+  const { naming } = ModelCls.allOptions;
+
+  return util.mapObject(ModelCls.allProps, (name, prop) => {
+    const alias = prop[`${direction}Alias`] || prop.alias;
+    return [name, alias || applyNaming(naming, name)];
+  });
+}
+
+
+// Rename the external names used in *values* to the prop names.
+//
+// Values that already use the prop names are kept, so models can be always
+// created with their own prop names as well. Model instances and anything
+// that's not a plain object is returned as is.
+export function toPropNames(ModelCls, values, direction = 'load') {
+  if (!util.isPlainObject(values))
+    return values;
+
+  const renamed = Object.entries(externalNames(ModelCls, direction)).filter(
+    ([name, external]) => name !== external && util.hasOwn(values, external)
+  );
+
+  if (renamed.length === 0)
+    return values;
+
+  const externals = renamed.map(([_, external]) => external);
+  const result = util.mapObject(values, (key, value) => (
+    externals.includes(key) ? undefined : [key, value]
+  ));
+
+  renamed.forEach(([name, external]) => {
+    result[name] = values[external];
+  });
+
+  return result;
+}
+
+
+// Rename the props in the paths of validation issues to their external names,
+// so the issues point at the values the way they were given.
+//
+// *depth* is the position of the model prop in the paths. Only that part is
+// renamed, nested models rename their own props.
+export function externalIssues(ModelCls, issues, direction = 'load', depth = 0) {
+  const names = externalNames(ModelCls, direction);
+
+  return issues.map(issue => {
+    const name = issue.path[depth];
+
+    if (!util.hasOwn(names, name) || names[name] === name)
+      return issue;
+
+    const path = [...issue.path.slice(0, depth), names[name], ...issue.path.slice(depth + 1)];
+    return makeIssue(path, issue.keyword, issue.message, issue);
+  });
+}
+
+
+// Rewrite the model schema so it describes the external (dumped) shape.
+//
+// Props are named the same way asObject() does it and keywords that only
+// configure the model (aliases, computed props, groups) are dropped.
+export function externalSchema(ModelCls, schema) {
+  const names = externalNames(ModelCls, 'dump');
+  const result = { ...schema };
+  const externalName = name => names[name] || name;
+
+  if (schema.properties) {
+    result.properties = util.mapObject(schema.properties, (name, prop) => ([
+      externalName(name),
+      util.mapObject(prop, (key, value) => (
+        MODEL_KEYWORDS.includes(key) ? undefined : [key, value]
+      )),
+    ]));
+  }
+
+  if (schema.required)
+    result.required = schema.required.map(externalName);
+
+  return result;
+}
+
+
+function applyNaming(naming, name) {
+  if (!naming)
+    return name;
+
+  if (typeof naming === 'function')
+    return naming(name);
+
+  if (!NAMING[naming])
+    throw new Error(`Unknown naming strategy: ${naming}`);
+
+  return NAMING[naming](splitWords(name));
+}
+
+
+// Split camelCase, PascalCase, snake_case and kebab-case names into lower case
+// words.
+function splitWords(name) {
+  return name
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
+    .split(/[\s_-]+/)
+    .filter(word => word.length > 0)
+    .map(word => word.toLowerCase());
+}
+
+
+function capitalize(word) {
+  return word.charAt(0).toUpperCase() + word.slice(1);
+}
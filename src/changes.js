@@ -0,0 +1,66 @@
+/*
+ * Copyright 2020 Mateusz Klos
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+import util from './util';
+import { cloneModel, modelChanges } from './compare';
+
+
+// Snapshots of the committed model values, by model instance. Kept outside
+// of the instances so they don't show up in their values.
+const snapshots = new WeakMap();
+
+
+// Start tracking changes: the current values become the committed ones.
+export function commitChanges(model) {
+  snapshots.set(model, cloneModel(model));
+}
+
+
+// Track the changes of *copy* against the last commit of *model*, or its
+// current values if *model* isn't tracking changes.
+export function copyChanges(model, copy) {
+  if (snapshots.has(model))
+    snapshots.set(copy, snapshots.get(model));
+  else
+    commitChanges(copy);
+}
+
+
+// List all changes made since the last commit (see modelChanges()).
+export function trackedChanges(model) {
+  return modelChanges(snapshotOf(model), model);
+}
+
+
+// Restore the values from the last commit.
+export function revertChanges(model) {
+  const restored = cloneModel(snapshotOf(model));
+
+  Object.keys(model)
+    .filter(name => !util.hasOwn(restored, name))
+    .forEach(name => { delete model[name]; });
+
+  Object.assign(model, restored);
+}
+
+
+function snapshotOf(model) {
+  const snapshot = snapshots.get(model);
+
+  if (!snapshot)
+    throw new Error(`Change tracking is not enabled for ${model.constructor.name}`);
+
+  return snapshot;
+}
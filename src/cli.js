@@ -0,0 +1,169 @@
+#!/usr/bin/env node
+/*
+ * Copyright 2020 Mateusz Klos
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+import fs from 'fs';
+import path from 'path';
+import yaml from 'js-yaml';
+import { generateModels } from './codegen';
+
+
+const USAGE = `Usage: typed-models [options] <schema.json|schema.yaml>...
+
+Generate model source files from JSON schema or OpenAPI documents. Files
+ending with .yaml or .yml are read as YAML, everything else as JSON.
+
+Options:
+  -o, --out <dir>          Output directory (default: current directory).
+  --import-from <module>   Module to import TypedModel from (default: typed-models).
+  --check                  Do not write anything, fail if the files on disk
+                           differ from the generated ones.
+  -h, --help               Show this help.
+`;
+
+
+// Run the typed-models command.
+//
+// Returns the exit code: 0 on success, 1 if the generation or the check has
+// failed and 2 on invalid usage.
+export function main(argv, { stdout, stderr } = process) {
+  let args;
+
+  try {
+    args = parseArgs(argv);
+  }
+  catch (err) {
+    stderr.write(`${err.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  if (args.help) {
+    stdout.write(USAGE);
+    return 0;
+  }
+
+  let files;
+  try {
+    files = generateFiles(args);
+  }
+  catch (err) {
+    stderr.write(`${err.message}\n`);
+    return 1;
+  }
+
+  if (args.check)
+    return checkFiles(files, { stdout, stderr });
+
+  fs.mkdirSync(args.out, { recursive: true });
+  Object.entries(files).forEach(([filePath, source]) => {
+    fs.writeFileSync(filePath, source);
+    stdout.write(`Wrote ${filePath}\n`);
+  });
+
+  return 0;
+}
+
+
+function parseArgs(argv) {
+  const args = {
+    out: '.',
+    importFrom: undefined,
+    check: false,
+    help: false,
+    inputs: [],
+  };
+  const takeValue = (idx, option) => {
+    if (argv[idx + 1] === undefined)
+      throw new Error(`Missing value for ${option}`);
+    return argv[idx + 1];
+  };
+
+  for (let idx = 0; idx < argv.length; idx += 1) {
+    const arg = argv[idx];
+
+    if (arg === '-o' || arg === '--out')
+      args.out = takeValue(idx++, arg);
+    else if (arg === '--import-from')
+      args.importFrom = takeValue(idx++, arg);
+    else if (arg === '--check')
+      args.check = true;
+    else if (arg === '-h' || arg === '--help')
+      args.help = true;
+    else if (arg.startsWith('-'))
+      throw new Error(`Unknown option: ${arg}`);
+    else
+      args.inputs.push(arg);
+  }
+
+  if (!args.help && args.inputs.length === 0)
+    throw new Error('No schema files given');
+
+  return args;
+}
+
+
+// Generate models for all input files. Returns a filePath => source mapping.
+function generateFiles({ inputs, out, importFrom }) {
+  const files = {};
+
+  inputs.forEach(input => {
+    const doc = readDocument(input);
+
+    Object.entries(generateModels(doc, { importFrom })).forEach(([fileName, source]) => {
+      const filePath = path.join(out, fileName);
+
+      if (files[filePath] !== undefined)
+        throw new Error(`${input}: ${fileName} is already generated from another schema`);
+
+      files[filePath] = source;
+    });
+  });
+
+  return files;
+}
+
+
+// Read the JSON or YAML (.yaml/.yml) document.
+function readDocument(input) {
+  const isYaml = ['.yaml', '.yml'].includes(path.extname(input).toLowerCase());
+
+  try {
+    const content = fs.readFileSync(input, 'utf8');
+    return isYaml ? yaml.safeLoad(content) : JSON.parse(content);
+  }
+  catch (err) {
+    throw new Error(`Cannot read ${input}: ${err.message}`);
+  }
+}
+
+
+// Compare the generated files with the ones on disk.
+function checkFiles(files, { stdout, stderr }) {
+  const outdated = Object.keys(files).filter(filePath => (
+    !fs.existsSync(filePath) || fs.readFileSync(filePath, 'utf8') !== files[filePath]
+  ));
+
+  if (outdated.length > 0) {
+    outdated.forEach(filePath => stderr.write(`Outdated: ${filePath}\n`));
+    return 1;
+  }
+
+  stdout.write(`All ${Object.keys(files).length} files are up to date\n`);
+  return 0;
+}
+
+
+if (require.main === module)
+  process.exitCode = main(process.argv.slice(2));
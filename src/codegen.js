@@ -0,0 +1,181 @@
+/*
+ * Copyright 2020 Mateusz Klos
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+import util from './util';
+import { TypedModel, isModelClass } from './TypedModel';
+import { modelsFromDocument } from './fromSchema';
+import { mapSubschemas } from './schema';
+
+
+const HEADER = '// Generated by typed-models. Do not edit by hand.';
+// Objects are written in a single line if they fit.
+const MAX_INLINE_LENGTH = 72;
+
+
+// Generate model source code for all models defined in the schema document.
+//
+// The document can be a JSON schema or an OpenAPI document (see
+// modelsFromDocument()). Returns a fileName => source mapping with one ES
+// module per model. Models import the models they use, except for the ones
+// that would create an import cycle. Those are referenced by name
+// (`{$ref: 'Name'}`) and registered in TypedModel.registry instead. A model
+// referencing itself uses `{$ref: '#'}`.
+//
+// Options:
+//  - importFrom: The module TypedModel is imported from.
+export function generateModels(doc, { importFrom = 'typed-models' } = {}) {
+  const models = modelsFromDocument(doc, { base: TypedModel });
+  const deps = new Map(models.map(ModelCls => [ModelCls, usedModels(ModelCls)]));
+  const isCyclic = (from, to) => reaches(to, from, deps, new Set());
+  const registered = new Set(models.filter(
+    ModelCls => models.some(other => deps.get(other).has(ModelCls) && isCyclic(other, ModelCls))
+  ));
+  const files = {};
+
+  models.forEach(ModelCls => {
+    const imported = [...deps.get(ModelCls)].filter(dep => !isCyclic(ModelCls, dep));
+    const named = [...deps.get(ModelCls)].filter(dep => isCyclic(ModelCls, dep));
+
+    files[`${ModelCls.name}.js`] = modelModule(ModelCls, {
+      importFrom,
+      imported,
+      named,
+      register: registered.has(ModelCls),
+    });
+  });
+
+  return files;
+}
+
+
+function modelModule(ModelCls, { importFrom, imported, named, register }) {
+  const name = ModelCls.name;
+  const byName = new Set(named);
+  const lines = [
+    HEADER,
+    `import { TypedModel } from ${util.quote(importFrom)};`,
+    ...imported.map(dep => `import { ${dep.name} } from './${dep.name}';`),
+    // Models referenced by name only need to be registered.
+    ...named.map(dep => `import './${dep.name}';`),
+    '',
+    '',
+    `export class ${name} extends TypedModel {`,
+  ];
+
+  lines.push('  static props = {');
+  Object.entries(ModelCls.props).forEach(([propName, prop]) => {
+    lines.push(`    ${util.quote(propName)}: ${toSource(withNamedRefs(prop, byName), 2)},`);
+  });
+  lines.push('  };');
+
+  if (ModelCls.schema) {
+    lines.push('');
+    lines.push(`  static schema = ${toSource(withNamedRefs(ModelCls.schema, byName), 1)};`);
+  }
+
+  lines.push('}');
+
+  if (register) {
+    lines.push('');
+    lines.push(`${name}.register();`);
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+
+// Find all models used by the model props and schema (excluding the model
+// itself).
+function usedModels(ModelCls) {
+  const found = new Set();
+  const visit = schema => {
+    if (typeof schema === 'object' && schema !== null) {
+      if (isModelClass(schema.type))
+        found.add(schema.type);
+
+      mapSubschemas(schema, visit);
+    }
+    return schema;
+  };
+
+  Object.values(ModelCls.props).forEach(visit);
+  visit(ModelCls.schema);
+  found.delete(ModelCls);
+
+  return found;
+}
+
+
+// Check if *to* can be reached from *from* following model dependencies.
+function reaches(from, to, deps, seen) {
+  if (from === to)
+    return true;
+
+  seen.add(from);
+
+  return [...deps.get(from)].some(dep => !seen.has(dep) && reaches(dep, to, deps, seen));
+}
+
+
+// Replace links to the given models with references by name.
+function withNamedRefs(schema, models) {
+  if (typeof schema !== 'object' || schema === null)
+    return schema;
+
+  if (models.has(schema.type)) {
+    const { type, ...rest } = schema;
+    return { ...rest, $ref: type.name };
+  }
+
+  return mapSubschemas(schema, subschema => withNamedRefs(subschema, models));
+}
+
+
+// Write the value as JS source. Model classes are written as their names.
+function toSource(value, depth) {
+  if (isModelClass(value))
+    return value.name;
+
+  if (typeof value === 'string')
+    return util.quote(value);
+
+  if (typeof value !== 'object' || value === null)
+    return JSON.stringify(value);
+
+  const entries = Array.isArray(value)
+    ? value.map(item => toSource(item, depth + 1))
+    : Object.entries(value).map(([key, item]) => `${objectKey(key)}: ${toSource(item, depth + 1)}`);
+
+  if (entries.length === 0)
+    return Array.isArray(value) ? '[]' : '{}';
+
+  const [open, close] = Array.isArray(value) ? ['[', ']'] : ['{', '}'];
+  const inline = `${open}${entries.join(', ')}${close}`;
+
+  if (inline.length <= MAX_INLINE_LENGTH && !inline.includes('\n'))
+    return inline;
+
+  const indent = '  '.repeat(depth);
+  return [
+    open,
+    ...entries.map(entry => `${indent}  ${entry},`),
+    `${indent}${close}`,
+  ].join('\n');
+}
+
+
+function objectKey(key) {
+  return /^[A-Za-z_$][A-Za-z0-9_$]*$/.test(key) ? key : util.quote(key);
+}
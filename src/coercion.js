@@ -0,0 +1,81 @@
+/*
+ * Copyright 2020 Mateusz Klos
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+import { ValidationError, makeIssue } from './errors';
+
+const DECIMAL_RE = /^[-+]?(\d+(\.\d*)?|\.\d+)$/;
+
+
+// Convert the value to the type declared in the schema.
+//
+// This is meant for values coming from query strings, CSV files, env vars etc.
+// where everything is a string. Supported conversions:
+//  - '42' to 42 for number and integer types. Only plain decimal numbers
+//    are converted, so '0x10', '1e3' or 'Infinity' are rejected.
+//  - 'true'/'false' to booleans.
+//  - A single value to a one element array for array types.
+//  - Empty string to null or undefined (see *emptyStrings* option).
+//
+// Values that already have the right type are returned as is. Raises
+// ValidationError if the string cannot be converted.
+export function coerceValue(path, schema, value, { emptyStrings } = {}) {
+  const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+
+  if (value === '' && emptyStrings && !isPlainString(schema))
+    return emptyStrings === 'null' ? null : undefined;
+
+  if (types.includes('array'))
+    return (value === null || Array.isArray(value)) ? value : [value];
+
+  if (typeof value !== 'string' || types.includes('string'))
+    return value;
+
+  const converters = types.map(type => CONVERTERS[type]).filter(Boolean);
+
+  for (const convert of converters) {
+    const converted = convert(value);
+    if (converted !== undefined)
+      return converted;
+  }
+
+  if (converters.length === 0)
+    return value;
+
+  const expected = types.join(' or ');
+  throw new ValidationError([makeIssue(
+    path,
+    'type',
+    `Cannot convert "${value}" to ${expected}`,
+    { expected, actual: value },
+  )]);
+}
+
+
+// String converters. Return undefined if the value cannot be converted.
+const CONVERTERS = {
+  number: str => (DECIMAL_RE.test(str) ? Number(str) : undefined),
+  integer: str => {
+    const num = CONVERTERS.number(str);
+    return Number.isInteger(num) ? num : undefined;
+  },
+  boolean: str => ({ 'true': true, 'false': false })[str],
+  null: str => (str === 'null' ? null : undefined),
+};
+
+
+// Plain strings are the only case where empty string is a proper value.
+function isPlainString(schema) {
+  return schema.type === 'string' && !schema.format;
+}
@@ -0,0 +1,203 @@
+/*
+ * Copyright 2020 Mateusz Klos
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+import util from './util';
+import { toJsonPointer } from './errors';
+import { TypedModel, isModel } from './TypedModel';
+import { itemSchema, propertySchema } from './schema';
+
+
+// Create a deep copy of the model instance.
+//
+// Nested models keep their classes and values loaded by formats are copied
+// by dumping and loading them again (Date instances are simply recreated).
+// Immutable (frozen) models are returned as they are, there is no way to
+// change them anyway.
+//
+// *setUp(model, copy)* is called for every copied model (nested ones
+// included) once it has its values.
+export function cloneModel(model, setUp = () => {}) {
+  if (Object.isFrozen(model))
+    return model;
+
+  const props = model.constructor.allProps;
+  const copy = Object.create(Object.getPrototypeOf(model));
+
+  Object.entries(model).forEach(([name, value]) => {
+    copy[name] = cloneValue(props[name] || {}, value, setUp);
+  });
+
+  setUp(model, copy);
+  return copy;
+}
+
+
+// Check if both models have the same class and equal values.
+//
+// readOnly props are usually getters computed from the other values, so they
+// are skipped unless *includeReadOnly* is set.
+export function modelsEqual(model, other, { includeReadOnly = false } = {}) {
+  if (!isModel(other) || model.constructor !== other.constructor)
+    return false;
+
+  return JSON.stringify(canonicalValue({}, model, { includeReadOnly }))
+    === JSON.stringify(canonicalValue({}, other, { includeReadOnly }));
+}
+
+
+// Return a stable hash of the model values.
+//
+// Models that are equal (see modelsEqual()) always have the same hash. The
+// hash does not depend on the order the values were given in, so it can be
+// used as a cache key.
+export function modelHash(model, { includeReadOnly = false } = {}) {
+  const str = JSON.stringify(canonicalValue({}, model, { includeReadOnly }));
+
+  // 32-bit FNV-1a.
+  let hash = 0x811c9dc5;
+  for (let idx = 0; idx < str.length; ++idx) {
+    hash ^= str.charCodeAt(idx);
+    hash = Math.imul(hash, 0x01000193);
+  }
+
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+
+// List the differences between two versions of the same model.
+//
+// Nested models, arrays (of the same length) and objects are compared value
+// by value, so the changes point at the values that really changed. Returns
+// a list of `{path, pointer, old, new}`. readOnly props are skipped.
+export function modelChanges(before, after) {
+  const changes = [];
+  collectChanges({}, before, after, [], changes);
+  return changes;
+}
+
+
+function collectChanges(schema, before, after, path, changes) {
+  const addChanges = (names, schemaFor) => names.forEach(name => collectChanges(
+    schemaFor(name), before[name], after[name], [...path, name], changes,
+  ));
+
+  if (isModel(before) && isModel(after) && before.constructor === after.constructor) {
+    const props = after.constructor.allProps;
+    // Models without props keep whatever values they were given.
+    const names = util.isEmpty(props)
+      ? unionKeys(before, after)
+      : Object.keys(props).filter(name => !props[name].readOnly);
+
+    addChanges(names, name => props[name] || {});
+  }
+  else if (Array.isArray(before) && Array.isArray(after) && before.length === after.length) {
+    addChanges(before.map((_, idx) => idx), idx => itemSchema(schema, idx));
+  }
+  else if (util.isPlainObject(before) && util.isPlainObject(after)) {
+    addChanges(unionKeys(before, after), name => objectPropertySchema(schema, name));
+  }
+  else if (!valuesEqual(schema, before, after)) {
+    changes.push({ path, pointer: toJsonPointer(path), old: before, new: after });
+  }
+}
+
+
+function valuesEqual(schema, a, b) {
+  const options = { includeReadOnly: false };
+  return JSON.stringify(canonicalValue(schema, a, options))
+    === JSON.stringify(canonicalValue(schema, b, options));
+}
+
+
+function unionKeys(a, b) {
+  return [...new Set([...Object.keys(a), ...Object.keys(b)])];
+}
+
+
+function cloneValue(schema, value, setUp) {
+  if (value === null || typeof value !== 'object')
+    return value;
+
+  if (isModel(value))
+    return cloneModel(value, setUp);
+
+  if (value instanceof Date)
+    return new Date(value.getTime());
+
+  if (Array.isArray(value))
+    return value.map((item, idx) => cloneValue(itemSchema(schema, idx), item, setUp));
+
+  const format = formatOf(schema);
+  if (format)
+    return format.load(format.dump(value));
+
+  return Object.entries(value).reduce((result, [name, item]) => ({
+    ...result,
+    [name]: cloneValue(objectPropertySchema(schema, name), item, setUp),
+  }), {});
+}
+
+
+// Convert the value to a plain JSON compatible form that's the same for
+// all equal values: object keys are sorted, dates are replaced with their
+// time and custom format values with their dump output.
+function canonicalValue(schema, value, options) {
+  if (value === null || typeof value !== 'object')
+    return value;
+
+  if (isModel(value)) {
+    const props = value.constructor.allProps;
+    const values = Object.keys(props)
+      .filter(name => options.includeReadOnly || !props[name].readOnly)
+      .sort()
+      .reduce((result, name) => ({
+        ...result,
+        [name]: canonicalValue(props[name], value[name], options),
+      }), {});
+
+    return { model: value.constructor.name, values };
+  }
+
+  if (value instanceof Date)
+    return value.getTime();
+
+  if (Array.isArray(value))
+    return value.map((item, idx) => canonicalValue(itemSchema(schema, idx), item, options));
+
+  const format = formatOf(schema);
+  if (format)
+    return canonicalValue({}, format.dump(value), options);
+
+  return Object.keys(value)
+    .sort()
+    .reduce((result, name) => ({
+      ...result,
+      [name]: canonicalValue(objectPropertySchema(schema, name), value[name], options),
+    }), {});
+}
+
+
+// Custom format used to load the value (if any).
+function formatOf(schema) {
+  return schema.type === 'string' ? TypedModel.formats.findLoader(schema.format) : undefined;
+}
+
+
+function objectPropertySchema(schema, name) {
+  const result = propertySchema(schema, name);
+
+  // Boolean schemas tell nothing about the value.
+  return (typeof result === 'object' && result !== null) ? result : {};
+}
@@ -0,0 +1,83 @@
+/*
+ * Copyright 2020 Mateusz Klos
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+import util from './util';
+
+
+// Model classes that already have their computed props defined.
+const definedFor = new WeakSet();
+// Cached computed values, by model instance.
+const caches = new WeakMap();
+
+
+// Define getters for all computed props of the model class (once).
+//
+// Computed props are declared as `{type, compute: model => value, dependsOn}`.
+// Getters already defined by the class itself are left alone.
+export function defineComputedProps(ModelCls) {
+  if (definedFor.has(ModelCls))
+    return;
+
+  Object.entries(ModelCls.allProps)
+    .filter(([name, prop]) => (
+      prop.compute && !util.hasOwn(ModelCls.prototype, name)
+    ))
+    .forEach(([name, prop]) => {
+      Object.defineProperty(ModelCls.prototype, name, {
+        configurable: true,
+        get() {
+          return computedValue(this, name, prop);
+        },
+      });
+    });
+
+  definedFor.add(ModelCls);
+}
+
+
+// Get the computed prop value.
+//
+// *dependsOn* lists the paths ('address.city') of the values the prop is
+// computed from. The value is cached until any of them changes (they are
+// compared by identity). Without *dependsOn* the value is computed on every
+// access.
+function computedValue(model, name, { compute, dependsOn }) {
+  if (!dependsOn)
+    return compute(model);
+
+  const deps = dependsOn.map(path => valueAt(model, path));
+  let cache = caches.get(model);
+
+  if (!cache) {
+    cache = {};
+    caches.set(model, cache);
+  }
+
+  const cached = cache[name];
+  if (cached && cached.deps.every((dep, idx) => dep === deps[idx]))
+    return cached.value;
+
+  const value = compute(model);
+  cache[name] = { deps, value };
+  return value;
+}
+
+
+function valueAt(model, path) {
+  return path.split('.').reduce(
+    (value, key) => ((value === undefined || value === null) ? undefined : value[key]),
+    model,
+  );
+}
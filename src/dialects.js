@@ -0,0 +1,186 @@
+/*
+ * Copyright 2020 Mateusz Klos
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+import util from './util';
+import { mapSubschemas } from './schema';
+
+
+// Supported schema dialects.
+//
+//  - $schema: Meta schema URI (OpenAPI does not support $schema).
+//  - defsKey: Where to put the hoisted model definitions.
+//  - tuples: How tuples are expressed: 'prefixItems' (2020-12), 'items' with
+//    a list of schemas (older drafts) or 'anyOf' (OpenAPI 3.0 has no tuples).
+//  - nullable: Use `nullable: true` instead of 'null' in type lists.
+//  - refSiblings: Whether keywords next to $ref are taken into account.
+export const DIALECTS = {
+  'draft-07': {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    defsKey: 'definitions',
+    tuples: 'items',
+    nullable: false,
+    refSiblings: false,
+  },
+  '2019-09': {
+    $schema: 'https://json-schema.org/draft/2019-09/schema',
+    defsKey: '$defs',
+    tuples: 'items',
+    nullable: false,
+    refSiblings: true,
+  },
+  '2020-12': {
+    $schema: 'https://json-schema.org/draft/2020-12/schema',
+    defsKey: '$defs',
+    tuples: 'prefixItems',
+    nullable: false,
+    refSiblings: true,
+  },
+  'openapi-3.0': {
+    $schema: undefined,
+    defsKey: 'definitions',
+    tuples: 'anyOf',
+    nullable: true,
+    refSiblings: false,
+  },
+};
+
+
+// Find dialect by name. Raises if the dialect is not supported.
+export function getDialect(name) {
+  const dialect = DIALECTS[name];
+
+  if (!dialect)
+    throw new Error(`Unknown schema dialect: ${name}`);
+
+  return dialect;
+}
+
+
+// Rewrite the schema generated by getSchema() for the given dialect.
+//
+// On top of rewriting keywords this also strips all values that cannot be
+// serialized to JSON (like function defaults).
+export function toDialect(schema, dialectName) {
+  const dialect = getDialect(dialectName);
+  const { $schema, $id, ...rest } = convertSchema(schema, dialect);
+
+  if (!dialect.$schema)
+    return rest;
+
+  return { $schema: dialect.$schema, ...($id === undefined ? {} : { $id }), ...rest };
+}
+
+
+// Inlined models keep their $id (references to the models already inlined
+// higher up use it), but only the root can declare the meta schema. OpenAPI 3.0
+// supports neither of them.
+function convertSchema(schema, dialect) {
+  if (typeof schema !== 'object' || schema === null)
+    return schema;
+
+  const isDropped = key => key === '$schema' || (key === '$id' && !dialect.$schema);
+  let result = util.mapObject(schema, (key, value) => (
+    (value === undefined || typeof value === 'function' || isDropped(key)) ? undefined : [key, value]
+  ));
+
+  result = convertTuples(result, dialect);
+  result = dialect.nullable ? toNullable(result) : fromNullable(result);
+
+  if (dialect.nullable && result.const !== undefined) {
+    // OpenAPI 3.0 does not support const.
+    const { const: constValue, ...rest } = result;
+    result = { ...rest, enum: [constValue] };
+  }
+
+  result = mapSubschemas(result, subschema => convertSchema(subschema, dialect));
+
+  ['$defs', 'definitions']
+    .filter(key => result[key])
+    .forEach(key => {
+      result[key] = util.mapObject(result[key], (name, def) => [name, convertSchema(def, dialect)]);
+    });
+
+  if (!dialect.refSiblings && result.$ref !== undefined && Object.keys(result).length > 1) {
+    // Older drafts ignore everything next to $ref, so we wrap it in allOf.
+    const { $ref, ...rest } = result;
+    result = { allOf: [{ $ref }], ...rest };
+  }
+
+  return result;
+}
+
+
+// Rewrite tuples (arrays with per position schemas) for the dialect.
+function convertTuples(schema, dialect) {
+  const { prefixItems, items, additionalItems, ...rest } = schema;
+  let tupleItems = prefixItems;
+  let extraItems = prefixItems ? items : additionalItems;
+
+  if (Array.isArray(items)) {
+    tupleItems = items;
+    extraItems = additionalItems;
+  }
+
+  if (!tupleItems)
+    return schema;
+
+  if (dialect.tuples === 'prefixItems')
+    return withDefined({ ...rest, prefixItems: tupleItems, items: extraItems });
+  else if (dialect.tuples === 'items')
+    return withDefined({ ...rest, items: tupleItems, additionalItems: extraItems });
+
+  // No tuple support, the best we can do is to allow any of the item schemas.
+  const itemSchemas = (extraItems && extraItems !== true) ? [...tupleItems, extraItems] : tupleItems;
+  return {
+    ...rest,
+    items: itemSchemas.length === 1 ? itemSchemas[0] : { anyOf: itemSchemas },
+  };
+}
+
+
+// Convert `type: ['string', 'null']` to `type: 'string', nullable: true`.
+function toNullable(schema) {
+  if (!Array.isArray(schema.type) || !schema.type.includes('null'))
+    return schema;
+
+  const types = schema.type.filter(type => type !== 'null');
+  const { type, ...rest } = schema;
+
+  if (types.length === 1)
+    return { ...rest, type: types[0], nullable: true };
+
+  return { ...rest, anyOf: types.map(t => ({ type: t })), nullable: true };
+}
+
+
+// Convert `nullable: true` to `type: [..., 'null']`.
+function fromNullable(schema) {
+  const { nullable, ...rest } = schema;
+
+  if (nullable === undefined)
+    return schema;
+
+  if (!nullable || rest.type === undefined)
+    return rest;
+
+  const types = Array.isArray(rest.type) ? rest.type : [rest.type];
+  return { ...rest, type: types.includes('null') ? types : [...types, 'null'] };
+}
+
+
+// Remove keys with undefined value.
+function withDefined(obj) {
+  return util.mapObject(obj, (key, value) => value === undefined ? undefined : [key, value]);
+}
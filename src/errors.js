@@ -0,0 +1,106 @@
+/*
+ * Copyright 2020 Mateusz Klos
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+// Raised when the values do not fit the model schema.
+//
+// A single error can carry multiple issues (see the *collectErrors* option
+// of the model constructor). Each issue has the following form:
+//
+//    {
+//      path: ['items', 2, 'name'],     // Path to the invalid value.
+//      pointer: '/items/2/name',       // Same path as JSON pointer.
+//      keyword: 'type',                // What check has failed.
+//      expected: 'string',             // What was expected (if known).
+//      actual: 42,                     // The invalid value.
+//      message: 'Expected string, got number',
+//    }
+export class ValidationError extends Error {
+  constructor(issues) {
+    super(formatMessage(issues));
+    this.name = 'ValidationError';
+    this.issues = issues;
+  }
+
+  // Create a validation error out of any other exception.
+  //
+  // Used to wrap errors thrown by format loaders or default factories so they
+  // carry the information about where they happened.
+  static fromError(path, err, keyword) {
+    const error = new ValidationError([
+      makeIssue(path, keyword, err.message),
+    ]);
+    error.cause = err;
+    return error;
+  }
+
+  // Return a copy of this error with all issue paths prefixed with *path*.
+  prefixed(path) {
+    const error = new ValidationError(this.issues.map(issue => makeIssue(
+      [...path, ...issue.path],
+      issue.keyword,
+      issue.message,
+      issue,
+    )));
+    error.cause = this.cause;
+    return error;
+  }
+
+  // Path of the first issue in the `$.foo.bar[2]` form.
+  get traceback() {
+    return this.issues.length > 0 ? formatPath(this.issues[0].path) : '$';
+  }
+}
+
+
+// Create a single validation issue.
+export function makeIssue(path, keyword, message, { expected, actual } = {}) {
+  return {
+    path,
+    pointer: toJsonPointer(path),
+    keyword,
+    expected,
+    actual,
+    message,
+  };
+}
+
+
+// Format path as a `$.foo.bar[2]` string.
+export function formatPath(path) {
+  return path.reduce(
+    (result, part) => typeof part === 'number' ? `${result}[${part}]` : `${result}.${part}`,
+    '$'
+  );
+}
+
+
+// Format path as a JSON pointer (RFC 6901).
+export function toJsonPointer(path) {
+  return path
+    .map(part => `/${String(part).replace(/~/g, '~0').replace(/\//g, '~1')}`)
+    .join('');
+}
+
+
+function formatMessage(issues) {
+  const lines = issues.map(issue => `${formatPath(issue.path)}: ${issue.message}`);
+
+  if (lines.length === 1)
+    return lines[0];
+
+  return [`${lines.length} validation errors`, ...lines].join('\n  ');
+}
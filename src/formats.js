@@ -0,0 +1,121 @@
+/*
+ * Copyright 2020 Mateusz Klos
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const IPV4_RE = /^(25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)(\.(25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)){3}$/;
+const HOSTNAME_LABEL_RE = /^[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?$/i;
+const IDN_HOSTNAME_LABEL_RE = /^[\p{L}\p{N}]([\p{L}\p{N}\p{M}-]{0,61}[\p{L}\p{N}\p{M}])?$/u;
+const EMAIL_LOCAL_RE = /^[a-z0-9!#$%&'*+/=?^_`{|}~-]+(\.[a-z0-9!#$%&'*+/=?^_`{|}~-]+)*$/i;
+const IDN_EMAIL_LOCAL_RE = /^[^\s@"(),.:;<>[\\\]]+(\.[^\s@"(),.:;<>[\\\]]+)*$/u;
+// Characters that never appear in URIs and broken percent encoding.
+const URI_INVALID_RE = /[\s"<>\\^`{|}]|%(?![0-9a-f]{2})/i;
+const URI_SCHEME_RE = /^[a-z][a-z0-9+.-]*:/i;
+const JSON_POINTER_RE = /^(\/([^~/]|~[01])*)*$/;
+
+
+// Validators of the standard JSON Schema string formats.
+export const STRING_FORMATS = {
+  'uuid': str => UUID_RE.test(str),
+  'email': str => isEmail(str, EMAIL_LOCAL_RE, isHostname),
+  'idn-email': str => isEmail(str, IDN_EMAIL_LOCAL_RE, isIdnHostname),
+  'uri': str => URI_SCHEME_RE.test(str) && !URI_INVALID_RE.test(str),
+  'uri-reference': str => !URI_INVALID_RE.test(str),
+  'ipv4': str => IPV4_RE.test(str),
+  'ipv6': isIpv6,
+  'hostname': isHostname,
+  'regex': isRegex,
+  'json-pointer': str => JSON_POINTER_RE.test(str),
+};
+
+
+// Formats that can be loaded into richer objects than strings.
+export const RICH_FORMATS = {
+  'uri': { load: str => new URL(str), dump: url => url.href },
+  'regex': { load: str => new RegExp(str, 'u'), dump: re => re.source },
+};
+
+
+// Register the validators of the standard string formats.
+//
+// *rich* is a list of formats (out of RICH_FORMATS) that should be loaded
+// into objects, e.g. `['uri']` loads URIs into URL instances. The values are
+// still validated before being loaded.
+export function registerStringFormats(formats, { rich = [] } = {}) {
+  Object.entries(STRING_FORMATS).forEach(([name, validate]) => {
+    const { load, dump } = rich.includes(name) ? RICH_FORMATS[name] : {};
+    formats.register(name, { load, dump, validate });
+  });
+}
+
+
+function isEmail(str, localRe, isDomain) {
+  const at = str.lastIndexOf('@');
+
+  return at > 0 && localRe.test(str.slice(0, at)) && isDomain(str.slice(at + 1));
+}
+
+
+function isHostname(str) {
+  return isDomainName(str, HOSTNAME_LABEL_RE);
+}
+
+
+function isIdnHostname(str) {
+  return isDomainName(str, IDN_HOSTNAME_LABEL_RE);
+}
+
+
+function isDomainName(str, labelRe) {
+  // A single trailing dot marks the fully qualified name.
+  const name = str.endsWith('.') ? str.slice(0, -1) : str;
+
+  return name.length > 0 && name.length <= 253 && name.split('.').every(label => labelRe.test(label));
+}
+
+
+function isIpv6(str) {
+  const parts = str.split('::');
+
+  if (parts.length > 2)
+    return false;
+
+  const groups = parts.map(part => (part === '' ? [] : part.split(':')));
+  const last = groups[groups.length - 1];
+  let size = groups.flat().length;
+
+  // The last 32 bits can be written as an IPv4 address.
+  if (last.length > 0 && last[last.length - 1].includes('.')) {
+    if (!IPV4_RE.test(last.pop()))
+      return false;
+    size += 1;
+  }
+
+  if (!groups.flat().every(group => /^[0-9a-f]{1,4}$/i.test(group)))
+    return false;
+
+  // '::' stands for at least one group of zeros.
+  return parts.length === 2 ? size < 8 : size === 8;
+}
+
+
+function isRegex(str) {
+  try {
+    new RegExp(str, 'u');
+    return true;
+  }
+  catch (err) {
+    return false;
+  }
+}
@@ -0,0 +1,199 @@
+/*
+ * Copyright 2020 Mateusz Klos
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+import util from './util';
+import { mapSubschemas } from './schema';
+
+
+// Create a model class out of the JSON schema document.
+//
+// - Nested object schemas (with properties) become nested model classes.
+// - Local references ('#', '#/$defs/Name', '#/definitions/Name',
+//   '#/components/schemas/Name') become links to the model classes created
+//   for the referenced schemas. Each referenced schema is converted only once.
+// - Everything else (formats, defaults, enums, etc.) is kept as is, so string
+//   formats use the conversions registered in TypedModel.formats.
+//
+// Options:
+//  - name: Name of the model class. Defaults to the schema title.
+//  - base: The base class for all generated models.
+export function modelFromSchema(schema, { name, base }) {
+  const ctx = makeContext(schema, base);
+
+  return modelClass('#', schema, name || schema.title || 'Model', ctx);
+}
+
+
+// Create model classes for all object schemas defined in the document.
+//
+// Works with JSON schema documents (the root schema and everything in
+// $defs/definitions) as well as OpenAPI documents (components.schemas).
+// Returns the list of all created classes, including the nested ones, with
+// unique class names.
+export function modelsFromDocument(doc, { base }) {
+  const ctx = makeContext(doc, base);
+  const defsKeys = doc.components ? ['components/schemas'] : ['$defs', 'definitions'];
+
+  if (isModelSchema(doc))
+    modelClass('#', doc, doc.title || 'Model', ctx);
+
+  defsKeys.forEach(defsKey => {
+    const defs = resolvePointer(doc, `#/${defsKey}`) || {};
+
+    Object.entries(defs)
+      .filter(([, schema]) => isModelSchema(schema))
+      .forEach(([name, schema]) => modelClass(`#/${defsKey}/${name}`, schema, name, ctx));
+  });
+
+  return Object.values(ctx.classes);
+}
+
+
+function makeContext(root, base) {
+  return {
+    root,
+    base,
+    classes: {},
+    names: new Set(),
+  };
+}
+
+
+// Create model class for the object schema found at *pointer*.
+function modelClass(pointer, schema, name, ctx) {
+  if (ctx.classes[pointer])
+    return ctx.classes[pointer];
+
+  const className = uniqueName(toClassName(name), ctx.names);
+  // This is the only way to give a dynamically created class a name.
+  const ModelCls = { [className]: class extends ctx.base {} }[className];
+
+  // Store the class before converting props, so cycles point to it.
+  ctx.classes[pointer] = ModelCls;
+
+  const {
+    properties = {},
+    type, $schema, $id, $defs, definitions,
+    ...rest
+  } = schema;
+
+  ModelCls.props = util.mapObject(properties, (propName, propSchema) => ([
+    propName,
+    convertSchema(
+      `${pointer}/properties/${propName}`,
+      propSchema,
+      `${className}${toClassName(propName)}`,
+      ModelCls,
+      ctx,
+    ),
+  ]));
+
+  // Model level keywords (additionalProperties, allOf, ...) can use models too.
+  let idx = 0;
+  const modelSchema = mapSubschemas(rest, subschema => {
+    idx += 1;
+    const suffix = idx > 1 ? String(idx) : '';
+    return convertSchema(`${pointer}/${idx}`, subschema, `${className}Item${suffix}`, ModelCls, ctx);
+  });
+
+  // Unlike models, JSON schemas allow unknown props unless they say otherwise.
+  if (!util.hasOwn(modelSchema, 'additionalProperties'))
+    modelSchema.additionalProperties = true;
+
+  ModelCls.schema = modelSchema;
+
+  return ModelCls;
+}
+
+
+// Convert a subschema of the model schema to a prop definition.
+//
+// *nameHint* is used if a nested model class needs to be created and
+// *OwnerCls* is the model that owns the prop (so self references become '#').
+function convertSchema(pointer, schema, nameHint, OwnerCls, ctx) {
+  if (typeof schema !== 'object' || schema === null)
+    return schema;
+
+  if (schema.$ref !== undefined) {
+    const target = resolvePointer(ctx.root, schema.$ref);
+
+    // References outside the document are left as they are.
+    if (target === undefined)
+      return schema;
+
+    const { $ref, ...rest } = schema;
+
+    if (!isModelSchema(target))
+      return { ...convertSchema($ref, target, nameHint, OwnerCls, ctx), ...rest };
+
+    const RefCls = modelClass($ref, target, $ref.split('/').pop() || nameHint, ctx);
+
+    return (RefCls === OwnerCls) ? { ...rest, $ref: '#' } : { ...rest, type: RefCls };
+  }
+
+  if (isModelSchema(schema))
+    return { type: modelClass(pointer, schema, schema.title || nameHint, ctx) };
+
+  let idx = 0;
+  return mapSubschemas(schema, subschema => {
+    idx += 1;
+    const suffix = idx > 1 ? String(idx) : '';
+    return convertSchema(`${pointer}/${idx}`, subschema, `${nameHint}${suffix}`, OwnerCls, ctx);
+  });
+}
+
+
+// Object schemas with properties are converted to models.
+function isModelSchema(schema) {
+  return schema.type === 'object' && !!schema.properties;
+}
+
+
+// Find the schema the local reference points to.
+function resolvePointer(root, ref) {
+  if (typeof ref !== 'string' || !ref.startsWith('#'))
+    return undefined;
+
+  return ref
+    .slice(1)
+    .split('/')
+    .filter(Boolean)
+    .map(part => decodeURIComponent(part).replace(/~1/g, '/').replace(/~0/g, '~'))
+    .reduce((node, part) => (node === undefined ? undefined : node[part]), root);
+}
+
+
+// Make sure no two generated classes have the same name.
+function uniqueName(name, names) {
+  let result = name;
+
+  for (let idx = 2; names.has(result); idx += 1)
+    result = `${name}${idx}`;
+
+  names.add(result);
+  return result;
+}
+
+
+// Convert any string to a PascalCase identifier.
+function toClassName(name) {
+  const className = String(name)
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean)
+    .map(word => word[0].toUpperCase() + word.slice(1))
+    .join('');
+
+  return /^[0-9]/.test(className) ? `_${className}` : className;
+}
@@ -14,4 +14,12 @@
  * limitations under the License.
  */
 export * from './TypedModel';
+export * from './coercion';
+export { STRING_FORMATS, registerStringFormats } from './formats';
 export * from './util';
+export { ValidationError } from './errors';
+export { toDialect } from './dialects';
+export * from './openapi';
+export * from './fromSchema';
+export * from './codegen';
+export * from './typings';
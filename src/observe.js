@@ -0,0 +1,282 @@
+/*
+ * Copyright 2020 Mateusz Klos
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+import util from './util';
+import { isModel } from './TypedModel';
+import { propAccessors } from './accessors';
+
+
+// Observers state, by model instance.
+const observers = new WeakMap();
+// Owners of the proxies wrapping observed arrays and objects. The owner
+// changes when the value is moved somewhere else.
+const proxyOwners = new WeakMap();
+
+const ARRAY_MUTATORS = [
+  'copyWithin', 'fill', 'pop', 'push', 'reverse', 'shift', 'sort', 'splice', 'unshift',
+];
+
+
+// Call *callback* for every change made to the model.
+//
+// If *path* is given (a list of keys), only changes made at that path, inside
+// of it or to any of its parents are reported. The callback gets an event
+// with the list of `{path, old, new}` changes. Events for a single change
+// have its path, old and new value set as well. Returns a function that
+// removes the listener.
+export function addListener(model, path, callback) {
+  const state = observe(model);
+  const listener = { path, callback };
+
+  state.listeners.push(listener);
+
+  return () => {
+    state.listeners = state.listeners.filter(item => item !== listener);
+  };
+}
+
+
+// Run *fn* and report all changes it made as a single event.
+export function transaction(model, fn) {
+  const state = observers.get(model);
+
+  if (!state)
+    return fn();
+
+  state.depth += 1;
+  try {
+    return fn();
+  }
+  finally {
+    state.depth -= 1;
+
+    if (state.depth === 0 && state.pending.length > 0) {
+      const changes = state.pending;
+      state.pending = [];
+      deliver(model, state, changes);
+    }
+  }
+}
+
+
+// Start observing the model (once).
+//
+// The props are replaced with accessors (see propAccessors()), arrays and
+// plain objects stored in the model with proxies reporting their changes and
+// nested models are observed as well, forwarding their changes to the model.
+function observe(model) {
+  if (observers.has(model))
+    return observers.get(model);
+
+  const state = { listeners: [], parents: [], depth: 0, pending: [] };
+  observers.set(model, state);
+
+  // Frozen models never change.
+  if (Object.isFrozen(model))
+    return state;
+
+  const accessors = propAccessors(model);
+  const owner = name => ({ model, container: accessors.values, key: name });
+
+  Object.keys(accessors.values).forEach(name => {
+    accessors.values[name] = attach(accessors.values[name], owner(name));
+  });
+
+  accessors.onChange = (name, old) => {
+    const value = attach(accessors.values[name], owner(name));
+
+    accessors.values[name] = value;
+    notify(model, [{ path: [name], old, new: value }]);
+  };
+
+  return state;
+}
+
+
+// Make *value* report its changes to *owner*.
+//
+// Owners tell where the value is stored: the model it belongs to, the
+// container (the model values, an array or an object) and the key in it.
+// Array items have no key, they are looked up as their indexes change.
+function attach(value, owner) {
+  if (isModel(value)) {
+    const { parents } = observe(value);
+
+    if (!parents.some(p => p.container === owner.container && p.key === owner.key))
+      parents.push(owner);
+
+    return value;
+  }
+
+  if (proxyOwners.has(value)) {
+    proxyOwners.get(value).owner = owner;
+    return value;
+  }
+
+  if (Array.isArray(value) || util.isPlainObject(value))
+    return observedContainer(value, owner);
+
+  return value;
+}
+
+
+function observedContainer(target, owner) {
+  const meta = { owner };
+  const isArray = Array.isArray(target);
+  // Reports the change of target[key] or of the whole container.
+  const report = (key, old, value) => {
+    const path = locate(meta.owner, proxy);
+
+    if (path) {
+      const changePath = key === null ? path : [...path, isArray ? Number(key) : key];
+      notify(meta.owner.model, [{ path: changePath, old, new: value }]);
+    }
+  };
+  const itemOwner = key => ({
+    model: meta.owner.model,
+    container: target,
+    key: isArray ? undefined : key,
+    parent: { meta, value: proxy },
+  });
+  const attachItems = () => Object.keys(target).forEach(key => {
+    target[key] = attach(target[key], itemOwner(key));
+  });
+
+  const proxy = new Proxy(target, {
+    get(obj, key, receiver) {
+      if (!isArray || !ARRAY_MUTATORS.includes(key))
+        return Reflect.get(obj, key, receiver);
+
+      // Array operations are reported as a single change of the whole array.
+      return (...args) => {
+        const old = obj.slice();
+        const result = Array.prototype[key].apply(obj, args);
+
+        attachItems();
+        report(null, old, proxy);
+        return result;
+      };
+    },
+
+    set(obj, key, value) {
+      if (isArray && key === 'length') {
+        const old = obj.slice();
+        obj.length = value;
+        report(null, old, proxy);
+        return true;
+      }
+
+      const old = obj[key];
+      obj[key] = attach(value, itemOwner(key));
+      report(key, old, obj[key]);
+      return true;
+    },
+
+    deleteProperty(obj, key) {
+      const old = obj[key];
+      delete obj[key];
+      report(key, old, undefined);
+      return true;
+    },
+  });
+
+  proxyOwners.set(proxy, meta);
+  attachItems();
+
+  return proxy;
+}
+
+
+// Find the current path of the value within its owner model. Returns null if
+// the value is not there anymore.
+function locate(owner, value) {
+  const { container, key, parent } = owner;
+  let part = key;
+
+  if (key === undefined)
+    part = container.indexOf(value);
+  else if (container[key] !== value)
+    part = -1;
+
+  if (part === -1)
+    return null;
+
+  if (!parent)
+    return [part];
+
+  const parentPath = locate(parent.meta.owner, parent.value);
+  return parentPath && [...parentPath, part];
+}
+
+
+function notify(model, changes) {
+  const state = observers.get(model);
+
+  if (state.depth > 0)
+    state.pending.push(...changes);
+  else
+    deliver(model, state, changes);
+}
+
+
+function deliver(model, state, changes) {
+  state.listeners.slice().forEach(({ path, callback }) => {
+    const matching = path ? changes.filter(change => isRelated(change.path, path)) : changes;
+
+    if (matching.length > 0)
+      callback(makeEvent(matching));
+  });
+
+  // Nested models forward their changes to the models they are stored in.
+  state.parents.forEach(owner => {
+    const prefix = locate(owner, model);
+
+    if (prefix)
+      notify(owner.model, changes.map(change => ({ ...change, path: [...prefix, ...change.path] })));
+  });
+}
+
+
+function makeEvent(changes) {
+  if (changes.length === 1)
+    return { ...changes[0], changes };
+
+  return { path: commonPrefix(changes.map(change => change.path)), changes };
+}
+
+
+// Check if one of the paths is the prefix of the other.
+function isRelated(path, other) {
+  const length = Math.min(path.length, other.length);
+
+  for (let idx = 0; idx < length; ++idx) {
+    if (String(path[idx]) !== String(other[idx]))
+      return false;
+  }
+
+  return true;
+}
+
+
+function commonPrefix(paths) {
+  return paths.reduce((prefix, path) => {
+    let length = 0;
+
+    while (length < prefix.length && length < path.length && prefix[length] === path[length])
+      ++length;
+
+    return prefix.slice(0, length);
+  });
+}
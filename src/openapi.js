@@ -0,0 +1,67 @@
+/*
+ * Copyright 2020 Mateusz Klos
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+import util from './util';
+import { toDialect } from './dialects';
+import { collectDefinitions } from './schema';
+
+
+// Export models as an OpenAPI components document.
+//
+// *models* is a list of model classes or a ModelRegistry. All models
+// referenced by the given ones are exported as well. Models reference each
+// other with `{$ref: '#/components/schemas/Name'}`.
+//
+// Options:
+//  - version: '3.0' (default) or '3.1'.
+//  - inheritance: 'flatten' (default) or 'allOf'. See collectDefinitions().
+//  - format: 'object' (default), 'json' or 'yaml'.
+//  - indent: Indentation for JSON output.
+export function toOpenApiComponents(models, {
+  version = '3.0',
+  inheritance = 'flatten',
+  format = 'object',
+  indent,
+} = {}) {
+  if (models instanceof util.ModelRegistry)
+    models = Object.values(models.models);
+
+  const defs = collectDefinitions(models, {
+    refPrefix: '#/components/schemas/',
+    inheritance,
+  });
+  const schemas = util.mapObject(defs, (name, schema) => [name, toOpenApiSchema(schema, version)]);
+  const doc = { components: { schemas } };
+
+  if (format === 'json')
+    return util.json(doc, indent);
+  else if (format === 'yaml')
+    return util.toYaml(doc);
+
+  return doc;
+}
+
+
+// OpenAPI 3.1 uses JSON schema 2020-12, 3.0 has its own subset.
+function toOpenApiSchema(schema, version) {
+  if (version === '3.0')
+    return toDialect(schema, 'openapi-3.0');
+  else if (version !== '3.1')
+    throw new Error(`Unsupported OpenAPI version: ${version}`);
+
+  // Schemas in OpenAPI documents inherit the dialect from the document.
+  const { $schema, ...rest } = toDialect(schema, '2020-12');
+  return rest;
+}
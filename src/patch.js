@@ -0,0 +1,225 @@
+/*
+ * Copyright 2020 Mateusz Klos
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+import util from './util';
+import { ValidationError, makeIssue, toJsonPointer } from './errors';
+import { isEqual } from './validation';
+
+// Keys that would let the patch reach the object prototypes.
+const UNSAFE_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+
+// Create a JSON patch (RFC 6902) that turns *from* into *to*.
+//
+// Both values have to be plain JSON data. Objects are compared key by key,
+// arrays item by item (items are added or removed at the end). Anything else
+// that differs is replaced.
+export function diffValues(from, to, path = []) {
+  if (isEqual(from, to))
+    return [];
+
+  if (isObject(from) && isObject(to)) {
+    return [
+      ...Object.keys(from)
+        .filter(key => !util.hasOwn(to, key))
+        .map(key => ({ op: 'remove', path: toJsonPointer([...path, key]) })),
+      ...Object.keys(to).flatMap(key => (
+        util.hasOwn(from, key)
+          ? diffValues(from[key], to[key], [...path, key])
+          : [{ op: 'add', path: toJsonPointer([...path, key]), value: to[key] }]
+      )),
+    ];
+  }
+
+  if (Array.isArray(from) && Array.isArray(to)) {
+    const common = Math.min(from.length, to.length);
+    const ops = [];
+
+    for (let idx = 0; idx < common; ++idx)
+      ops.push(...diffValues(from[idx], to[idx], [...path, idx]));
+
+    // Remove from the end, so the indexes of the remaining items don't change.
+    for (let idx = from.length - 1; idx >= common; --idx)
+      ops.push({ op: 'remove', path: toJsonPointer([...path, idx]) });
+
+    for (let idx = common; idx < to.length; ++idx)
+      ops.push({ op: 'add', path: toJsonPointer([...path, idx]), value: to[idx] });
+
+    return ops;
+  }
+
+  return [{ op: 'replace', path: toJsonPointer(path), value: to }];
+}
+
+
+// Apply JSON patch (RFC 6902) operations to the JSON document.
+//
+// Returns the patched document, *doc* itself is modified as well (unless the
+// whole document is replaced). Raises ValidationError pointing at the
+// operation path if any of the operations cannot be applied.
+export function applyOperations(doc, ops) {
+  const holder = { doc };
+
+  if (!Array.isArray(ops))
+    throw patchError([], 'type', 'Expected a list of patch operations');
+
+  ops.forEach(operation => applyOperation(holder, operation));
+
+  return holder.doc;
+}
+
+
+function applyOperation(holder, operation) {
+  if (operation === null || typeof operation !== 'object' || Array.isArray(operation))
+    throw patchError([], 'op', 'Patch operations must be objects');
+
+  const { op, value } = operation;
+  const target = locate(holder, operation.path, op);
+
+  switch (op) {
+    case 'add':
+      return addValue(target, copyValue(value), op);
+
+    case 'remove':
+      getValue(target, op);
+      return removeValue(target);
+
+    case 'replace':
+      getValue(target, op);
+      target.container[target.key] = copyValue(value);
+      return;
+
+    case 'move': {
+      const source = locate(holder, operation.from, op);
+
+      if (operation.path.startsWith(`${operation.from}/`))
+        throw patchError(target.path, op, 'Cannot move a value into its own child');
+
+      const moved = getValue(source, op);
+      removeValue(source);
+      // Removing the source could have changed the array indexes.
+      return addValue(locate(holder, operation.path, op), moved, op);
+    }
+
+    case 'copy':
+      return addValue(target, copyValue(getValue(locate(holder, operation.from, op), op)), op);
+
+    case 'test': {
+      const actual = getValue(target, op);
+
+      if (!isEqual(actual, value))
+        throw patchError(target.path, op, 'Test failed', { expected: value, actual });
+      return;
+    }
+
+    default:
+      throw patchError(target.path, 'op', `Unknown patch operation: ${op}`);
+  }
+}
+
+
+// Find the container and the key the JSON pointer refers to.
+//
+// Array indexes are converted to numbers, '-' refers to the position after
+// the last item (only valid for add).
+function locate(holder, pointer, op) {
+  if (typeof pointer !== 'string' || (pointer !== '' && !pointer.startsWith('/')))
+    throw patchError([], op, `Invalid JSON pointer: ${pointer}`);
+
+  const parts = pointer === '' ? [] : pointer.slice(1).split('/').map(unescapePart);
+  let container = holder;
+  let key = 'doc';
+  const path = [];
+
+  parts.forEach((part, idx) => {
+    // Never step into inherited values (e.g. Object.prototype).
+    const value = util.hasOwn(container, key) ? container[key] : undefined;
+
+    if (UNSAFE_KEYS.includes(part))
+      throw patchError([...path, part], op, `Forbidden key: ${part}`);
+
+    if (value === null || typeof value !== 'object')
+      throw patchError([...path, ...parts.slice(idx)], op, 'Path does not exist');
+
+    container = value;
+    key = Array.isArray(value) ? arrayIndex(part, [...path, part], op) : part;
+    path.push(key);
+  });
+
+  return { container, key, path };
+}
+
+
+function arrayIndex(part, path, op) {
+  if (part === '-')
+    return part;
+
+  if (!/^(0|[1-9][0-9]*)$/.test(part))
+    throw patchError(path, op, `Invalid array index: ${part}`);
+
+  return Number(part);
+}
+
+
+function getValue({ container, key, path }, op) {
+  const exists = Array.isArray(container)
+    ? typeof key === 'number' && key < container.length
+    : util.hasOwn(container, key);
+
+  if (!exists)
+    throw patchError(path, op, 'Path does not exist');
+
+  return container[key];
+}
+
+
+function addValue({ container, key, path }, value, op) {
+  if (!Array.isArray(container))
+    container[key] = value;
+  else if (key === '-')
+    container.push(value);
+  else if (key <= container.length)
+    container.splice(key, 0, value);
+  else
+    throw patchError(path, op, 'Index out of bounds');
+}
+
+
+function removeValue({ container, key }) {
+  if (Array.isArray(container))
+    container.splice(key, 1);
+  else
+    delete container[key];
+}
+
+
+function patchError(path, keyword, message, details) {
+  return new ValidationError([makeIssue(path, keyword, message, details)]);
+}
+
+
+function unescapePart(part) {
+  return part.replace(/~1/g, '/').replace(/~0/g, '~');
+}
+
+
+function copyValue(value) {
+  return value === undefined ? value : JSON.parse(JSON.stringify(value));
+}
+
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
@@ -0,0 +1,299 @@
+/*
+ * Copyright 2020 Mateusz Klos
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+import util from './util';
+import { TypedModel, isModelClass } from './TypedModel';
+import { externalSchema } from './aliases';
+
+
+// Keywords holding a single subschema (items can also be a list).
+const SUBSCHEMA_KEYS = [
+  'items', 'additionalItems', 'additionalProperties', 'not', 'contains',
+  'propertyNames', 'if', 'then', 'else',
+];
+// Keywords holding a list of subschemas.
+const SUBSCHEMA_LIST_KEYS = ['oneOf', 'anyOf', 'allOf', 'prefixItems'];
+// Keywords holding a name => subschema mapping.
+const SUBSCHEMA_MAP_KEYS = ['properties', 'patternProperties', 'dependentSchemas'];
+
+
+// Return a copy of the schema with *mapperFn* applied to all direct subschemas.
+//
+// Model classes (as used in oneOf lists) are treated as subschemas as well.
+export function mapSubschemas(schema, mapperFn) {
+  const isSubschema = value => (
+    (typeof value === 'object' && value !== null) || isModelClass(value)
+  );
+  const result = { ...schema };
+
+  SUBSCHEMA_KEYS
+    .filter(key => isSubschema(schema[key]))
+    .forEach(key => {
+      result[key] = Array.isArray(schema[key])
+        ? schema[key].map(mapperFn)
+        : mapperFn(schema[key]);
+    });
+
+  SUBSCHEMA_LIST_KEYS
+    .filter(key => Array.isArray(schema[key]))
+    .forEach(key => {
+      result[key] = schema[key].map(mapperFn);
+    });
+
+  SUBSCHEMA_MAP_KEYS
+    .filter(key => isSubschema(schema[key]))
+    .forEach(key => {
+      result[key] = util.mapObject(schema[key], (name, value) => [name, mapperFn(value)]);
+    });
+
+  return result;
+}
+
+
+// Get the schema describing the given property of an object schema.
+//
+// Looks at `properties` first, then at `patternProperties` (the first matching
+// pattern wins) and finally at `additionalProperties`. The result can be
+// a boolean schema or undefined if nothing describes the property.
+export function propertySchema(schema, name) {
+  const { properties = {}, patternProperties = {}, additionalProperties } = schema;
+
+  if (util.hasOwn(properties, name))
+    return properties[name];
+
+  // Invalid patterns never match (validation reports them).
+  const pattern = Object.keys(patternProperties).find(regex => {
+    const compiled = util.schemaRegExp(regex);
+    return compiled !== undefined && compiled.test(name);
+  });
+
+  return (pattern !== undefined) ? patternProperties[pattern] : additionalProperties;
+}
+
+
+// Get the schema describing the array item at *idx*.
+//
+// Handles tuples, both the 2020-12 style (`prefixItems` + `items`) and the
+// older one (`items` list + `additionalItems`). Boolean schemas and missing
+// ones are returned as `{}` as they tell nothing about the value.
+export function itemSchema(schema, idx) {
+  const keyword = itemKeyword(schema, idx);
+  const result = Array.isArray(schema[keyword]) ? schema[keyword][idx] : schema[keyword];
+
+  return (typeof result === 'object' && result !== null) ? result : {};
+}
+
+
+// Get the keyword that forbids the array item at *idx* or undefined if the
+// item is allowed.
+//
+// Tuples can forbid items past their positions with `items: false` (or
+// `additionalItems: false` for the older style) and plain arrays can forbid
+// all items the same way.
+export function forbiddenItemKeyword(schema, idx) {
+  const keyword = itemKeyword(schema, idx);
+
+  return schema[keyword] === false ? keyword : undefined;
+}
+
+
+// Get the keyword describing the array item at *idx*.
+function itemKeyword(schema, idx) {
+  if (schema.prefixItems)
+    return idx < schema.prefixItems.length ? 'prefixItems' : 'items';
+
+  if (Array.isArray(schema.items))
+    return idx < schema.items.length ? 'items' : 'additionalItems';
+
+  return 'items';
+}
+
+
+// Get the model schema with all referenced models hoisted into definitions.
+//
+// Every model is defined only once, and referenced with
+// `{$ref: '#/$defs/Name'}` wherever it's used. This also allows to express
+// cycles between models. The root model is always referenced as '#'.
+//
+// *defsKey* tells where to put the model definitions: '$defs' or 'definitions'.
+export function schemaWithDefs(ModelCls, defsKey = '$defs') {
+  const ctx = {
+    root: ModelCls,
+    refPrefix: `#/${defsKey}/`,
+    defs: {},
+    names: new Map(),
+  };
+  const schema = modelDefinition(ModelCls, ctx);
+
+  if (!util.isEmpty(ctx.defs))
+    schema[defsKey] = ctx.defs;
+
+  return schema;
+}
+
+
+// Collect definitions for all the given models and the models they reference.
+//
+// Returns a name => schema mapping, where models are referenced with
+// *refPrefix* + name. Used to build documents with multiple root models (like
+// OpenAPI components).
+//
+// *inheritance* tells how to express props inherited from the base model:
+//  - 'flatten': Each model defines all its props, including inherited ones.
+//  - 'allOf': Models reference their base model in allOf and define only
+//    their own props. Inherited props removed by the subclass (set to
+//    undefined) cannot be expressed this way. Base models allow additional
+//    properties, as otherwise they would reject the props of their subclasses.
+export function collectDefinitions(models, { refPrefix, inheritance = 'flatten' }) {
+  const ctx = {
+    root: null,
+    refPrefix,
+    inheritance,
+    defs: {},
+    names: new Map(),
+    bases: new Set(),
+  };
+
+  models.forEach(ModelCls => refTo(ModelCls, ctx));
+
+  // Done once all models are defined, base definitions are only reserved
+  // while their subclasses are defined in a cycle.
+  ctx.bases.forEach(BaseCls => {
+    const definition = ctx.defs[ctx.names.get(BaseCls)];
+
+    if (definition.additionalProperties === false)
+      delete definition.additionalProperties;
+  });
+
+  return ctx.defs;
+}
+
+
+// Get the model schema with all referenced models converted to $refs.
+function modelDefinition(ModelCls, ctx) {
+  const { $schema, $id, ...schema } = ModelCls.getSchema({ leaveModels: true });
+  const converted = convertRefs(schema, ModelCls, ctx);
+  const BaseCls = Object.getPrototypeOf(ModelCls);
+
+  if (ctx.inheritance === 'allOf' && isModelClass(BaseCls))
+    return externalSchema(ModelCls, withBaseRef(ModelCls, BaseCls, converted, ctx));
+
+  // $id would change the base URI for all references inside the definition,
+  // so only the root model can have it.
+  const definition = externalSchema(ModelCls, converted);
+  return (ModelCls === ctx.root) ? { $schema, $id, ...definition } : definition;
+}
+
+
+// Express inheritance with allOf: keep only the props defined by the model.
+//
+// additionalProperties: false would reject the inherited props, so we have to
+// drop it.
+function withBaseRef(ModelCls, BaseCls, schema, ctx) {
+  const { properties = {}, additionalProperties, ...rest } = schema;
+
+  ctx.bases.add(BaseCls);
+  const ownProps = util.hasOwn(ModelCls, 'props') ? ModelCls.props : {};
+  const result = {
+    allOf: [{ $ref: refTo(BaseCls, ctx) }],
+    ...rest,
+    properties: util.mapObject(properties, (name, value) => (
+      ownProps[name] === undefined ? undefined : [name, value]
+    )),
+  };
+
+  if (additionalProperties !== false && additionalProperties !== undefined)
+    result.additionalProperties = additionalProperties;
+
+  if (util.isEmpty(result.properties))
+    delete result.properties;
+
+  return result;
+}
+
+
+// Return the reference to the given model, adding it to definitions if needed.
+//
+// Definitions are named after the models. Different models with the same
+// name (e.g. from different modules) get a number appended: Address2.
+function refTo(ModelCls, ctx) {
+  if (ModelCls === ctx.root)
+    return '#';
+
+  if (!ctx.names.has(ModelCls)) {
+    const name = uniqueDefName(ModelCls.name, ctx.defs);
+
+    // Reserve the name before going deeper, so we don't loop forever on cycles.
+    ctx.names.set(ModelCls, name);
+    ctx.defs[name] = {};
+    ctx.defs[name] = modelDefinition(ModelCls, ctx);
+  }
+
+  return `${ctx.refPrefix}${ctx.names.get(ModelCls)}`;
+}
+
+
+function uniqueDefName(name, defs) {
+  let result = name;
+
+  for (let idx = 2; util.hasOwn(defs, result); idx += 1)
+    result = `${name}${idx}`;
+
+  return result;
+}
+
+
+// Replace all models used in *schema* with references.
+//
+// *ModelCls* is the model that owns the schema, `{$ref: '#'}` refers to it.
+function convertRefs(schema, ModelCls, ctx) {
+  if (typeof schema === 'boolean')
+    return schema;
+
+  if (isModelClass(schema))
+    schema = { type: schema };
+
+  if (isModelClass(schema.type)) {
+    const { type, ...rest } = schema;
+    return { ...rest, $ref: refTo(type, ctx) };
+  }
+
+  const refModel = refTarget(schema.$ref, ModelCls);
+  if (refModel)
+    return { ...schema, $ref: refTo(refModel, ctx) };
+
+  const result = mapSubschemas(schema, subschema => convertRefs(subschema, ModelCls, ctx));
+
+  if (schema.discriminator && schema.discriminator.mapping) {
+    result.discriminator = {
+      ...schema.discriminator,
+      mapping: util.mapObject(schema.discriminator.mapping, (tag, target) => {
+        const targetCls = isModelClass(target) ? target : TypedModel.registry.resolve(target);
+        return [tag, targetCls ? refTo(targetCls, ctx) : target];
+      }),
+    };
+  }
+
+  return result;
+}
+
+
+// Find the model class referenced by $ref (if any).
+function refTarget(ref, ModelCls) {
+  if (ref === undefined)
+    return undefined;
+
+  return (ref === '#') ? ModelCls : TypedModel.registry.resolve(ref);
+}
@@ -0,0 +1,374 @@
+/*
+ * Copyright 2020 Mateusz Klos
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+import util from './util';
+import { TypedModel, isModelClass } from './TypedModel';
+import { externalNames } from './aliases';
+import { mapSubschemas } from './schema';
+import { toVariantSchema } from './validation';
+
+
+// Declarations shared by all models.
+const PREAMBLE = `// Generated by typed-models. Do not edit by hand.
+
+export interface ModelOptions {
+  collectErrors?: boolean;
+  strict?: boolean;
+  coerce?: boolean;
+  emptyStrings?: 'null' | 'undefined';
+  immutable?: boolean;
+  trackChanges?: boolean;
+  checkAssignments?: boolean;
+}
+
+export interface DumpOptions {
+  include?: string[];
+  exclude?: string[];
+  groups?: string[];
+  includeWriteOnly?: boolean;
+  includeComputed?: boolean;
+}
+
+export interface CompareOptions {
+  includeReadOnly?: boolean;
+}
+
+export interface JsonPatchOperation {
+  op: 'add' | 'remove' | 'replace' | 'move' | 'copy' | 'test';
+  path: string;
+  from?: string;
+  value?: unknown;
+}
+
+export interface ModelChange {
+  path: (string | number)[];
+  pointer: string;
+  old: unknown;
+  new: unknown;
+}
+
+export interface ChangeEvent {
+  path: (string | number)[];
+  old?: unknown;
+  new?: unknown;
+  changes: { path: (string | number)[]; old: unknown; new: unknown }[];
+}
+
+export interface ValidationIssue {
+  path: (string | number)[];
+  pointer: string;
+  keyword: string;
+  expected?: unknown;
+  actual?: unknown;
+  message: string;
+}
+`;
+
+// TypeScript types of the values loaded by the built-in formats (uri and regex
+// are only loaded if registered as rich formats).
+const FORMAT_TYPES = {
+  'date': 'Date',
+  'date-time': 'Date',
+  'uri': 'URL',
+  'regex': 'RegExp',
+};
+
+
+// Generate TypeScript declarations (.d.ts) for the given models.
+//
+// *models* is a list of model classes or a ModelRegistry. Models referenced by
+// the given ones are declared as well. For every model we declare:
+//
+//  - Name: The model class. The instance interface has the model props, with
+//    format values loaded (Date for date/date-time), readOnly props marked as
+//    readonly and enums as unions of the allowed values.
+//  - NameObject: The plain object returned by asObject(), with the props
+//    named by their dump names (see externalNames()).
+//  - NameInput: The values accepted by the constructor, named by their load
+//    names. Props with defaults are optional and readOnly props are not
+//    accepted at all.
+//
+// Options:
+//  - formats: format => TypeScript type of the loaded value, for the custom
+//    formats registered in TypedModel.formats. Values of registered formats
+//    without a type are declared as unknown.
+export function generateTypings(models, { formats = {} } = {}) {
+  if (models instanceof util.ModelRegistry)
+    models = Object.values(models.models);
+
+  const ctx = {
+    formats: { ...FORMAT_TYPES, ...formats },
+  };
+  const declarations = collectModels(models).map(ModelCls => modelDeclarations(ModelCls, ctx));
+
+  return [PREAMBLE, ...declarations].join('\n');
+}
+
+
+// Find all models used by the given ones. Each model is returned only once.
+function collectModels(models) {
+  const found = [];
+  const visit = ModelCls => {
+    if (found.includes(ModelCls))
+      return;
+
+    found.push(ModelCls);
+    Object.values(ModelCls.allProps).forEach(prop => visitSchema(prop, ModelCls));
+  };
+  const visitSchema = (schema, ModelCls) => {
+    const RefCls = schemaModel(schema, ModelCls);
+
+    if (RefCls)
+      visit(RefCls);
+    else if (typeof schema === 'object' && schema !== null)
+      mapSubschemas(schema, subschema => visitSchema(toVariantSchema(subschema), ModelCls));
+
+    return schema;
+  };
+
+  models.forEach(visit);
+
+  return found;
+}
+
+
+function modelDeclarations(ModelCls, ctx) {
+  const name = ModelCls.name;
+  const schema = ModelCls.getSchema({ leaveModels: true });
+  const props = Object.entries(schema.properties || {});
+  const required = schema.required || [];
+  // Arrays default to an empty list, so they're always there.
+  const isSet = (propName, prop) => (
+    required.includes(propName) || prop.default !== undefined || prop.type === 'array'
+  );
+  const inputProps = props.filter(([, prop]) => !prop.readOnly);
+  const loadNames = externalNames(ModelCls, 'load');
+  const dumpNames = externalNames(ModelCls, 'dump');
+  const hasRequiredInput = inputProps.some(
+    ([propName, prop]) => required.includes(propName) && prop.default === undefined
+  );
+
+  const instanceFields = props.map(([propName, prop]) => field(
+    propName,
+    tsType(prop, { ...ctx, ModelCls, mode: 'instance' }),
+    { optional: !isSet(propName, prop), readonly: !!prop.readOnly },
+  ));
+  const objectFields = props.map(([propName, prop]) => field(
+    dumpNames[propName],
+    tsType(prop, { ...ctx, ModelCls, mode: 'object' }),
+    // writeOnly props are only dumped on request.
+    { optional: !isSet(propName, prop) || !!prop.writeOnly },
+  ));
+  const inputFields = inputProps.map(([propName, prop]) => field(
+    loadNames[propName],
+    tsType(prop, { ...ctx, ModelCls, mode: 'input' }),
+    { optional: !required.includes(propName) || prop.default !== undefined },
+  ));
+  const values = hasRequiredInput ? 'values' : 'values?';
+
+  return [
+    declaration(`export interface ${name}`, instanceFields),
+    declaration(`export interface ${name}Object`, objectFields),
+    declaration(`export interface ${name}Input`, inputFields),
+    declaration(`export declare class ${name}`, [
+      `constructor(${values}: ${name}Input, options?: ModelOptions);`,
+      'static validate(values: unknown): ValidationIssue[] | null;',
+      `static asObject(data: ${name}Input): ${name}Object;`,
+      `static diff(a: ${name} | ${name}Input, b: ${name} | ${name}Input): JsonPatchOperation[];`,
+      `asObject(options?: DumpOptions): ${name}Object;`,
+      'asJsonStr(indent?: number, options?: DumpOptions): string;',
+      `setValues(values: Partial<${name}Input>, options?: ModelOptions): void;`,
+      'validate(): ValidationIssue[] | null;',
+      `with(values: Partial<${name}Input>, options?: ModelOptions): ${name};`,
+      `clone(): ${name};`,
+      'equals(other: unknown, options?: CompareOptions): boolean;',
+      'hash(options?: CompareOptions): string;',
+      `applyPatch(ops: JsonPatchOperation[], options?: ModelOptions): ${name};`,
+      `isDirty(propName?: keyof ${name}): boolean;`,
+      'getChanges(): ModelChange[];',
+      'commit(): void;',
+      'revert(): void;',
+      "on(event: 'change', callback: (event: ChangeEvent) => void): () => void;",
+      'watch(path: string | (string | number)[], callback: (event: ChangeEvent) => void): () => void;',
+      'transaction<T>(fn: () => T): T;',
+    ]),
+  ].join('\n');
+}
+
+
+function declaration(header, lines) {
+  if (lines.length === 0)
+    return `${header} {}\n`;
+
+  return `${header} {\n${lines.map(line => `  ${line}`).join('\n')}\n}\n`;
+}
+
+
+function field(name, type, { optional, readonly = false }) {
+  return `${readonly ? 'readonly ' : ''}${propertyName(name)}${optional ? '?' : ''}: ${type};`;
+}
+
+
+// Get the TypeScript type for the given prop schema.
+//
+// *ctx.mode* tells which representation we want: 'instance', 'object' (as
+// returned by asObject()) or 'input' (as accepted by the constructor).
+function tsType(schema, ctx) {
+  if (typeof schema !== 'object' || schema === null)
+    return schema === false ? 'never' : 'unknown';
+
+  const RefCls = schemaModel(schema, ctx.ModelCls);
+  if (RefCls)
+    return modelType(RefCls, ctx.mode);
+  else if (schema.$ref !== undefined)
+    return 'unknown';
+
+  if (schema.const !== undefined)
+    return literal(schema.const);
+
+  if (schema.enum)
+    return union(schema.enum.map(literal));
+
+  if (schema.oneOf || schema.anyOf)
+    return union((schema.oneOf || schema.anyOf).map(v => tsType(toVariantSchema(v), ctx)));
+
+  if (schema.allOf)
+    return schema.allOf.map(sub => wrap(tsType(sub, ctx))).join(' & ');
+
+  // Values are built with the listed type they match, so nullable formats
+  // are loaded and nullable arrays get their items built as well.
+  if (Array.isArray(schema.type))
+    return union(schema.type.map(type => tsType({ ...schema, type }, ctx)));
+
+  switch (schema.type) {
+    case 'string': return formatType(schema.format, ctx);
+    case 'number':
+    case 'integer': return 'number';
+    case 'boolean': return 'boolean';
+    case 'null': return 'null';
+    case 'array': return arrayType(schema, ctx);
+    case 'object': return objectType(schema, ctx);
+    default: return 'unknown';
+  }
+}
+
+
+// Model referenced by the schema, either directly or through $ref.
+function schemaModel(schema, ModelCls) {
+  if (isModelClass(schema.type))
+    return schema.type;
+
+  if (schema.type === undefined && schema.$ref !== undefined)
+    return (schema.$ref === '#') ? ModelCls : TypedModel.registry.resolve(schema.$ref);
+
+  return undefined;
+}
+
+
+function modelType(ModelCls, mode) {
+  if (mode === 'object')
+    return `${ModelCls.name}Object`;
+  else if (mode === 'input')
+    return `${ModelCls.name}Input | ${ModelCls.name}`;
+
+  return ModelCls.name;
+}
+
+
+function formatType(format, ctx) {
+  if (!TypedModel.formats.findLoader(format))
+    return 'string';
+
+  const type = ctx.formats[format] || 'unknown';
+
+  // Loaded values are dumped back to strings.
+  if (ctx.mode === 'object')
+    return 'string';
+  else if (ctx.mode === 'input')
+    return union(['string', type]);
+
+  return type;
+}
+
+
+function arrayType(schema, ctx) {
+  const tuple = schema.prefixItems || (Array.isArray(schema.items) ? schema.items : undefined);
+
+  if (tuple) {
+    // Items past the tuple are typed only if their schema is given.
+    const rest = schema.prefixItems ? schema.items : schema.additionalItems;
+    const types = tuple.map(item => tsType(item, ctx));
+
+    if (typeof rest === 'object' && rest !== null)
+      types.push(`...${wrap(tsType(rest, ctx))}[]`);
+
+    return `[${types.join(', ')}]`;
+  }
+
+  return `${wrap(tsType(schema.items, ctx))}[]`;
+}
+
+
+function objectType(schema, ctx) {
+  const required = schema.required || [];
+  const props = Object.entries(schema.properties || {}).map(([name, prop]) => ({
+    name,
+    type: tsType(prop, ctx),
+    optional: !required.includes(name),
+  }));
+  const fields = props.map(({ name, type, optional }) => field(name, type, { optional }));
+
+  // Values of all other keys (dictionaries).
+  const valueSchemas = Object.values(schema.patternProperties || {});
+  if (schema.additionalProperties !== false)
+    valueSchemas.push(schema.additionalProperties || {});
+
+  if (valueSchemas.length > 0) {
+    // TypeScript requires all the named props to fit the index signature.
+    const propTypes = props.map(({ type }) => type);
+    const isOptional = props.some(({ optional }) => optional);
+    const types = [
+      ...valueSchemas.map(value => tsType(value, ctx)),
+      ...propTypes,
+      ...(isOptional ? ['undefined'] : []),
+    ];
+
+    fields.push(`[key: string]: ${union(types)};`);
+  }
+
+  return fields.length > 0 ? `{ ${fields.join(' ')} }` : 'Record<string, never>';
+}
+
+
+function union(types) {
+  const unique = types.filter((type, idx) => types.indexOf(type) === idx);
+  return unique.includes('unknown') ? 'unknown' : unique.join(' | ');
+}
+
+
+// Wrap union and intersection types in parens (for arrays and intersections).
+function wrap(type) {
+  return /[|&]/.test(type) && !/^[{[]/.test(type) ? `(${type})` : type;
+}
+
+
+function literal(value) {
+  return (typeof value === 'string') ? util.quote(value) : JSON.stringify(value);
+}
+
+
+function propertyName(name) {
+  return /^[A-Za-z_$][A-Za-z0-9_$]*$/.test(name) ? name : util.quote(name);
+}
@@ -16,6 +16,84 @@
 export const json = (data, indent) => JSON.stringify(data, null, indent);
 
 
+// Single quoted JS string literal (used by the code generators).
+export function quote(str) {
+  const escaped = JSON.stringify(str)
+    .slice(1, -1)
+    .replace(/\\"/g, '"')
+    .replace(/'/g, "\\'");
+
+  return `'${escaped}'`;
+}
+
+
+// Convert JSON compatible data to a YAML string.
+//
+// Only block style is used for collections and strings are quoted whenever
+// they could be read back as something else.
+export function toYaml(data) {
+  if (!isCollection(data))
+    return `${yamlScalar(data)}\n`;
+
+  return `${yamlBlock(data, 0).join('\n')}\n`;
+}
+
+
+function yamlBlock(data, level) {
+  const pad = '  '.repeat(level);
+
+  if (Array.isArray(data)) {
+    return data.flatMap(item => {
+      if (!isCollection(item))
+        return [`${pad}- ${yamlScalar(item)}`];
+
+      // Nested collections start on the same line as the dash.
+      const lines = yamlBlock(item, level + 1);
+      lines[0] = `${pad}- ${lines[0].trimStart()}`;
+      return lines;
+    });
+  }
+
+  return Object.entries(data)
+    .filter(([_, value]) => value !== undefined)
+    .flatMap(([key, value]) => (
+      isCollection(value)
+        ? [`${pad}${yamlString(key)}:`, ...yamlBlock(value, level + 1)]
+        : [`${pad}${yamlString(key)}: ${yamlScalar(value)}`]
+    ));
+}
+
+
+function yamlScalar(value) {
+  if (value === null || value === undefined)
+    return 'null';
+  else if (Array.isArray(value))
+    return '[]';
+  else if (typeof value === 'object')
+    return '{}';
+  else if (typeof value === 'string')
+    return yamlString(value);
+
+  return String(value);
+}
+
+
+function yamlString(str) {
+  const isPlain = /^[A-Za-z_$][\w$.\-/ ]*$/.test(str)
+    && !/ $/.test(str)
+    && !/^(true|false|null|yes|no|on|off|y|n)$/i.test(str);
+
+  // JSON strings are valid YAML double quoted strings.
+  return isPlain ? str : JSON.stringify(str);
+}
+
+
+// Non-empty object or array.
+function isCollection(value) {
+  return typeof value === 'object' && value !== null && Object.keys(value).length > 0;
+}
+
+
 export function mapObject(obj, mapperFn) {
   return Object.fromEntries(
     Object.entries(obj)
@@ -27,14 +105,22 @@ export function mapObject(obj, mapperFn) {
 
 
 // A little helper to manage JSONSchema string formats.
+//
+// Every format can have:
+//  - load: Convert the string into the value stored on the model.
+//  - dump: Convert the loaded value back into a string.
+//  - validate: Return false if the string is malformed. Used both when
+//    building models and by validate().
+//
+// Formats without load/dump just validate the string and keep it as is.
 export class FormatManager {
   constructor() {
     this.formats = {};
   }
 
   // Register new string format with the given name
-  register(name, { dump, load }) {
-    this.formats[name] = { dump, load };
+  register(name, { dump, load, validate }) {
+    this.formats[name] = { dump, load, validate };
   }
 
   // Find string format by name.
@@ -45,13 +131,65 @@ export class FormatManager {
     return this.formats[name];
   }
 
+  // Find string format that loads the strings into other values.
+  findLoader(name) {
+    const format = this.find(name);
+    return (format && format.load) ? format : undefined;
+  }
+
+  // Check the string against the format. Unknown formats and values that are
+  // already loaded are always valid.
+  isValid(name, value) {
+    const format = this.find(name);
+
+    if (!format || !format.validate || typeof value !== 'string')
+      return true;
+
+    return format.validate(value);
+  }
+
   loadValue(format, value) {
-    const formatter = this.find(format);
+    if (!this.isValid(format, value))
+      throw new Error(`Must be a valid ${format}`);
+
+    const formatter = this.findLoader(format);
     return formatter ? formatter.load(value) : value;
   }
 }
 
 
+// A little helper to keep track of models that can be referenced by name.
+export class ModelRegistry {
+  constructor() {
+    this.models = {};
+  }
+
+  // Register model class under the given name (defaults to class name).
+  register(ModelCls, name) {
+    this.models[name || ModelCls.name] = ModelCls;
+  }
+
+  // Find model class by name.
+  find(name) {
+    if (!name)
+      return undefined;
+
+    return this.models[name];
+  }
+
+  // Find model class by $ref.
+  //
+  // Supports plain names ('Person') as well as pointers to schema definitions
+  // ('#/$defs/Person', '#/definitions/Person', '#/components/schemas/Person').
+  resolve(ref) {
+    if (typeof ref !== 'string')
+      return undefined;
+
+    return this.find(ref.split('/').pop());
+  }
+}
+
+
 // Check if the given object is empty
 export function isEmpty(obj) {
   if (!obj)
@@ -61,6 +199,42 @@ export function isEmpty(obj) {
 }
 
 
+// Check if the value is a plain JS object (not an array, model or any other
+// class instance).
+export function isPlainObject(value) {
+  if (value === null || typeof value !== 'object')
+    return false;
+
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+}
+
+
+// Check if the object has its own (not inherited) property *key*.
+export function hasOwn(obj, key) {
+  return Object.prototype.hasOwnProperty.call(obj, key);
+}
+
+
+// Compile the regex used by the schema `pattern` or `patternProperties`.
+//
+// The unicode flag gives us `\p{...}` classes, but it also rejects escapes
+// like `\_` that plain ECMA-262 patterns allow, so we fall back to compiling
+// without it. Returns undefined if the pattern is not a valid regex at all.
+export function schemaRegExp(pattern) {
+  for (const flags of ['u', '']) {
+    try {
+      return new RegExp(pattern, flags);
+    }
+    catch (err) {
+      // Try the next flags.
+    }
+  }
+
+  return undefined;
+}
+
+
 export function formatDate(date) {
   const year = date.getFullYear();
   let month = date.getMonth() + 1;
@@ -75,8 +249,14 @@ export function formatDate(date) {
 
 export default {
   json,
+  quote,
+  toYaml,
   mapObject,
   isEmpty,
+  isPlainObject,
+  hasOwn,
+  schemaRegExp,
   FormatManager,
+  ModelRegistry,
   formatDate,
 };
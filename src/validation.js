@@ -0,0 +1,347 @@
+/*
+ * Copyright 2020 Mateusz Klos
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+import util from './util';
+import { makeIssue } from './errors';
+import { externalIssues, toPropNames } from './aliases';
+import { forbiddenItemKeyword, itemSchema, propertySchema } from './schema';
+import { TypedModel, isModel, isModelClass, resolveRef } from './TypedModel';
+
+
+// Validate values against the given model class schema.
+//
+// Returns a list of issues or an empty list if the values are valid. Issues
+// have the same form as the ones carried by ValidationError.
+export function validateModel(ModelCls, values) {
+  const errors = [];
+  const refs = {'#': ModelCls};
+
+  validateValue([], { type: ModelCls }, values, refs, errors);
+
+  return errors;
+}
+
+
+// Validate a single value against the given schema.
+//
+// All errors found are appended to *errors*. We do not stop on the first error
+// so the caller gets the full picture in one go.
+export function validateValue(path, schema, value, refs, errors) {
+  if (!schema.type && schema.$ref)
+    schema = { ...schema, type: resolveRef(schema.$ref, refs) };
+
+  if (value === undefined)
+    return;
+
+  const addError = (keyword, message, expected) => errors.push(
+    makeIssue(path, keyword, message, { expected, actual: value })
+  );
+
+  if (schema.oneOf || schema.anyOf) {
+    const variant = selectVariant(path, schema, value, refs, errors);
+    if (variant)
+      validateValue(path, variant, value, refs, errors);
+    return;
+  }
+
+  if (isModelClass(schema.type) && matchesType(schema.type, value)) {
+    const ModelCls = schema.type;
+    const direction = isModel(value) ? 'dump' : 'load';
+    const modelErrors = [];
+
+    // Model instances are validated using their plain JS representation.
+    validateValue(
+      path,
+      ModelCls.getSchema({ leaveModels: true }),
+      isModel(value)
+        ? toPropNames(ModelCls, value.asObject({ includeWriteOnly: true }), 'dump')
+        : toPropNames(ModelCls, value),
+      { ...refs, '#': ModelCls },
+      modelErrors,
+    );
+    // Issues use the prop names the way they were given.
+    errors.push(...externalIssues(ModelCls, modelErrors, direction, path.length));
+    return;
+  }
+
+  if (schema.type && !matchesType(schema.type, value)) {
+    errors.push(typeIssue(path, schema.type, value));
+    // All the remaining checks depend on the type so there's no point going
+    // any further.
+    return;
+  }
+
+  if (schema.enum && !schema.enum.some(allowed => isEqual(allowed, value)))
+    addError(
+      'enum',
+      `Must be one of: ${schema.enum.map(x => JSON.stringify(x)).join(', ')}`,
+      schema.enum,
+    );
+
+  if (typeof value === 'number')
+    validateNumber(schema, value, addError);
+  else if (typeof value === 'string')
+    validateString(schema, value, addError);
+  else if (Array.isArray(value))
+    validateArray(path, schema, value, refs, errors, addError);
+  else if (value !== null && typeof value === 'object')
+    validateObject(path, schema, value, refs, errors, addError);
+}
+
+
+function validateNumber(schema, value, addError) {
+  if (schema.minimum !== undefined && value < schema.minimum)
+    addError('minimum', `Must be >= ${schema.minimum}`, schema.minimum);
+
+  if (schema.maximum !== undefined && value > schema.maximum)
+    addError('maximum', `Must be <= ${schema.maximum}`, schema.maximum);
+}
+
+
+function validateString(schema, value, addError) {
+  if (schema.minLength !== undefined && value.length < schema.minLength)
+    addError('minLength', `Must be at least ${schema.minLength} characters long`, schema.minLength);
+
+  if (schema.maxLength !== undefined && value.length > schema.maxLength)
+    addError('maxLength', `Must be at most ${schema.maxLength} characters long`, schema.maxLength);
+
+  if (schema.pattern !== undefined) {
+    const regex = util.schemaRegExp(schema.pattern);
+
+    if (regex === undefined)
+      addError('pattern', `Invalid pattern ${schema.pattern}`, schema.pattern);
+    else if (!regex.test(value))
+      addError('pattern', `Must match pattern ${schema.pattern}`, schema.pattern);
+  }
+
+  if (schema.format !== undefined && !TypedModel.formats.isValid(schema.format, value))
+    addError('format', `Must be a valid ${schema.format}`, schema.format);
+}
+
+
+function validateArray(path, schema, value, refs, errors, addError) {
+  if (schema.minItems !== undefined && value.length < schema.minItems)
+    addError('minItems', `Must have at least ${schema.minItems} items`, schema.minItems);
+
+  if (schema.maxItems !== undefined && value.length > schema.maxItems)
+    addError('maxItems', `Must have at most ${schema.maxItems} items`, schema.maxItems);
+
+  if (schema.uniqueItems) {
+    const hasDuplicates = value.some(
+      (item, idx) => value.slice(0, idx).some(other => isEqual(item, other))
+    );
+    if (hasDuplicates)
+      addError('uniqueItems', 'Must not contain duplicate items');
+  }
+
+  // Tuples validate every item against the schema for its position.
+  value.forEach((item, idx) => {
+    const keyword = forbiddenItemKeyword(schema, idx);
+
+    if (keyword !== undefined) {
+      errors.push(makeIssue(
+        [...path, idx],
+        keyword,
+        'Is not allowed',
+        { expected: false, actual: item },
+      ));
+    }
+    else {
+      validateValue([...path, idx], itemSchema(schema, idx), item, refs, errors);
+    }
+  });
+}
+
+
+function validateObject(path, schema, value, refs, errors, addError) {
+  const properties = schema.properties || {};
+
+  (schema.required || [])
+    .filter(propName => value[propName] === undefined)
+    .forEach(propName => errors.push(
+      makeIssue([...path, propName], 'required', 'Is required')
+    ));
+
+  Object.entries(properties).forEach(([propName, propSchema]) => (
+    validateValue([...path, propName], propSchema, value[propName], refs, errors)
+  ));
+
+  Object.keys(schema.patternProperties || {})
+    .filter(pattern => util.schemaRegExp(pattern) === undefined)
+    .forEach(pattern => addError('patternProperties', `Invalid pattern ${pattern}`, pattern));
+
+  const extraProps = Object.keys(value).filter(propName => !(propName in properties));
+
+  // Extra props are described by patternProperties or additionalProperties.
+  extraProps.forEach(propName => {
+    const propSchema = propertySchema(schema, propName);
+
+    if (propSchema === false) {
+      errors.push(makeIssue(
+        [...path, propName],
+        'additionalProperties',
+        'Is not allowed',
+        { expected: false, actual: value[propName] },
+      ));
+    }
+    else if (typeof propSchema === 'object') {
+      validateValue([...path, propName], propSchema, value[propName], refs, errors);
+    }
+  });
+}
+
+
+// Find the oneOf/anyOf variant matching the given value.
+//
+// If the schema has a discriminator, the variant is selected based on the
+// discriminator property value (OpenAPI style), otherwise the value is
+// validated against every variant. Returns the variant schema or undefined
+// if no variant matches, in which case the issues are appended to *errors*.
+export function selectVariant(path, schema, value, refs, errors) {
+  const keyword = schema.oneOf ? 'oneOf' : 'anyOf';
+  const variants = schema[keyword].map(toVariantSchema);
+
+  // Model instances already know what they are.
+  const ownVariant = isModel(value) && variants.find(v => v.type === value.constructor);
+  if (ownVariant)
+    return ownVariant;
+
+  if (schema.discriminator)
+    return discriminatorVariant(path, schema.discriminator, variants, value, refs, errors);
+
+  const matching = variants.filter(variant => {
+    const variantErrors = [];
+    validateValue(path, variant, value, refs, variantErrors);
+    return variantErrors.length === 0;
+  });
+
+  if (matching.length === 0) {
+    errors.push(makeIssue(path, keyword, 'Does not match any of the allowed schemas', {
+      actual: value,
+    }));
+  } else if (keyword === 'oneOf' && matching.length > 1) {
+    errors.push(makeIssue(path, keyword, 'Matches more than one of the allowed schemas', {
+      actual: value,
+    }));
+  } else {
+    return matching[0];
+  }
+}
+
+
+// oneOf/anyOf lists can contain model classes as a shortcut for {type: Model}.
+export function toVariantSchema(variant) {
+  return isModelClass(variant) ? { type: variant } : variant;
+}
+
+
+function discriminatorVariant(path, discriminator, variants, value, refs, errors) {
+  const { propertyName, mapping = {} } = discriminator;
+  const tag = matchesType('object', value) ? value[propertyName] : undefined;
+  // Without explicit mapping, the tag is the name of the model. Mapping can
+  // point to model classes or names of the registered models.
+  const target = util.hasOwn(mapping, tag) ? mapping[tag] : tag;
+  const variant = variants.find(v => {
+    const variantCls = v.$ref ? resolveRef(v.$ref, refs) : v.type;
+
+    return isModelClass(variantCls) && (
+      variantCls === target
+      || variantCls.name === target
+      || variantCls === TypedModel.registry.resolve(target)
+    );
+  });
+
+  if (!variant) {
+    const allowed = Object.keys(mapping).length > 0
+      ? Object.keys(mapping)
+      : variants.filter(v => isModelClass(v.type)).map(v => v.type.name);
+
+    errors.push(makeIssue(
+      [...path, propertyName],
+      'discriminator',
+      `Must be one of: ${allowed.map(x => JSON.stringify(x)).join(', ')}`,
+      { expected: allowed, actual: tag },
+    ));
+  }
+
+  return variant;
+}
+
+
+// Create an issue for value not matching the expected type.
+export function typeIssue(path, type, value) {
+  return makeIssue(
+    path,
+    'type',
+    `Expected ${typeName(type)}, got ${jsonType(value)}`,
+    { expected: typeName(type), actual: value },
+  );
+}
+
+
+// Check if the value matches the JSON schema type (or a list of types).
+export function matchesType(type, value) {
+  if (Array.isArray(type))
+    return type.some(t => matchesType(t, value));
+
+  if (isModelClass(type))
+    return matchesType('object', value);
+
+  switch (type) {
+    case 'null': return value === null;
+    case 'array': return Array.isArray(value);
+    case 'integer': return Number.isInteger(value);
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'number': return typeof value === 'number' && !Number.isNaN(value);
+    default: return typeof value === type;
+  }
+}
+
+
+// Return JSON schema type name of the given value.
+function jsonType(value) {
+  if (value === null)
+    return 'null';
+  else if (Array.isArray(value))
+    return 'array';
+
+  return typeof value;
+}
+
+
+function typeName(type) {
+  if (Array.isArray(type))
+    return type.map(typeName).join(' or ');
+
+  return isModelClass(type) ? type.name : type;
+}
+
+
+// Deep equality as defined by JSON schema (used by enum and uniqueItems).
+export function isEqual(a, b) {
+  if (a === b)
+    return true;
+
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null)
+    return false;
+
+  if (Array.isArray(a) !== Array.isArray(b))
+    return false;
+
+  const keysA = Object.keys(a);
+  const keysB = Object.keys(b);
+
+  return keysA.length === keysB.length && keysA.every(key => isEqual(a[key], b[key]));
+}
@@ -0,0 +1,91 @@
+/*
+ * Copyright 2020 Mateusz Klos
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+import util from './util';
+
+
+// Create a view out of the asObject() options.
+//
+// Options:
+//  - include: List of the props to dump, nested ones as dotted paths
+//    ('address.city'). Everything else is left out.
+//  - exclude: List of the props (or dotted paths) to leave out.
+//  - groups: Only dump props that belong to one of the given groups (the
+//    `groups` list in the prop definition). Props without groups are always
+//    dumped.
+//  - includeWriteOnly: Dump the writeOnly props as well.
+//  - includeComputed: Overrides the includeComputed option of the models.
+//
+// Paths go through arrays, so 'people.name' refers to the name of every
+// person on the list. Props named by *include* are dumped even if they are
+// writeOnly or computed.
+export function dumpView({ include, exclude, ...options } = {}) {
+  return {
+    ...options,
+    include: Array.isArray(include) ? pathTree(include) : include,
+    exclude: Array.isArray(exclude) ? pathTree(exclude) : exclude,
+  };
+}
+
+
+// Get the view for the prop value or null if the prop should not be dumped.
+export function propView(ModelCls, view, name, prop) {
+  const { include, exclude, groups } = view;
+  const named = include !== undefined && util.hasOwn(include, name);
+  const includeComputed = view.includeComputed !== undefined
+    ? view.includeComputed
+    : ModelCls.allOptions.includeComputed !== false;
+
+  if ((include !== undefined && !named) || (exclude && exclude[name] === true))
+    return null;
+
+  if (!named && ((prop.compute && !includeComputed) || (prop.writeOnly && !view.includeWriteOnly)))
+    return null;
+
+  if (groups && prop.groups && !prop.groups.some(group => groups.includes(group)))
+    return null;
+
+  return {
+    ...view,
+    include: (named && include[name] !== true) ? include[name] : undefined,
+    exclude: exclude && exclude[name],
+  };
+}
+
+
+// Convert a list of dotted paths to a tree: ['a.b', 'c'] => {a: {b: true}, c: true}.
+function pathTree(paths) {
+  const tree = {};
+
+  paths.forEach(path => {
+    const keys = path.split('.');
+    const last = keys.pop();
+    const node = keys.reduce((parent, key) => {
+      // The whole parent is already selected.
+      if (parent === true)
+        return parent;
+
+      if (parent[key] === undefined)
+        parent[key] = {};
+
+      return parent[key];
+    }, tree);
+
+    if (node !== true)
+      node[last] = true;
+  });
+
+  return tree;
+}
@@ -1,5 +1,7 @@
+const Ajv = require('ajv');
 const { expect } = require('chai');
 const { TypedModel, isModel, isModelClass } = require('../lib/TypedModel');
+const { ValidationError } = require('../lib/errors');
 
 
 class User extends TypedModel {
@@ -422,6 +424,126 @@ describe('TypedModel', () => {
     });
 
 
+    it('Raises ValidationError pointing at the failing value', () => {
+      TypedModel.formats.register('failing', {
+        load: () => { throw new Error('Invalid value'); },
+        dump: value => value,
+      });
+
+      class TestModel extends TypedModel {
+        static props = {
+          'tags': {type: 'array', items: {type: 'string', format: 'failing'}},
+        };
+      }
+
+      let error;
+      try {
+        new TestModel({ tags: ['a', 'b'] });
+      } catch (err) {
+        error = err;
+      }
+
+      expect(error).to.be.an.instanceof(ValidationError);
+      expect(error.traceback).to.equal('$.tags[0]');
+      expect(error.issues).to.have.length(1);
+      expect(error.issues[0]).to.include({
+        pointer: '/tags/0',
+        keyword: 'format',
+        message: 'Invalid value',
+      });
+    });
+
+
+    it('Prefixes errors raised by nested models with their path', () => {
+      class Inner extends TypedModel {
+        static props = {
+          'value': {type: 'number', default: () => { throw new Error('No default'); }},
+        };
+      }
+
+      class Outer extends TypedModel {
+        static props = {
+          'items': {type: 'array', items: {type: Inner}},
+        };
+      }
+
+      let error;
+      try {
+        new Outer({ items: [{ value: 1 }, {}] });
+      } catch (err) {
+        error = err;
+      }
+
+      expect(error).to.be.an.instanceof(ValidationError);
+      expect(error.issues[0].path).to.eql(['items', 1, 'value']);
+      expect(error.issues[0].keyword).to.equal('default');
+    });
+
+
+    it('Wraps errors thrown by nested model constructors', () => {
+      class Broken extends TypedModel {
+        constructor() {
+          throw new Error('Broken');
+        }
+      }
+
+      class Outer extends TypedModel {
+        static props = {
+          'broken': {type: Broken},
+        };
+      }
+
+      expect(() => new Outer({ broken: {} })).to.throw(ValidationError, '$.broken: Broken');
+    });
+
+
+    it('Can collect all errors instead of stopping on the first one', () => {
+      TypedModel.formats.register('number-str', {
+        load: str => {
+          if (isNaN(Number(str))) {
+            throw new Error(`Not a number: ${str}`);
+          }
+          return Number(str);
+        },
+        dump: value => String(value),
+      });
+
+      class Item extends TypedModel {
+        static props = {
+          'price': {type: 'string', format: 'number-str'},
+        };
+      }
+
+      class Cart extends TypedModel {
+        static props = {
+          'total': {type: 'string', format: 'number-str'},
+          'items': {type: 'array', items: {type: Item}},
+        };
+      }
+
+      const values = {
+        total: 'abc',
+        items: [{ price: '1' }, { price: 'x' }, { price: 'y' }],
+      };
+
+      expect(() => new Cart(values)).to.throw(ValidationError, '$.total: Not a number: abc');
+
+      let error;
+      try {
+        new Cart(values, { collectErrors: true });
+      } catch (err) {
+        error = err;
+      }
+
+      expect(error).to.be.an.instanceof(ValidationError);
+      expect(error.issues.map(issue => [issue.pointer, issue.message])).to.eql([
+        ['/total', 'Not a number: abc'],
+        ['/items/1/price', 'Not a number: x'],
+        ['/items/2/price', 'Not a number: y'],
+      ]);
+    });
+
+
     it('Does not convert undefined to dates and vice-versa', () => {
       class TestModel extends TypedModel {
         static props = {
@@ -504,6 +626,351 @@ describe('TypedModel', () => {
         },
       })
     });
+
+    it('Builds the values of nullable types', () => {
+      class Meeting extends TypedModel {
+        static props = {
+          'when': {type: ['string', 'null'], format: 'date'},
+          'people': {type: ['array', 'null'], items: {type: User}},
+        };
+      }
+
+      const meeting = new Meeting({ when: '2020-01-01', people: [{ name: 'Jack' }] });
+      expect(meeting.when).to.be.an.instanceof(Date);
+      expect(meeting.people[0]).to.be.an.instanceof(User);
+      expect(meeting.asObject()).to.eql({
+        when: '2020-01-01',
+        people: [{ name: 'Jack', surname: 'Doe', fullName: 'Jack Doe' }],
+      });
+
+      const empty = new Meeting({ when: null, people: null });
+      expect(empty.when).to.be.null;
+      expect(empty.people).to.be.null;
+      expect(empty.asObject()).to.eql({ when: null, people: null });
+
+      expect(() => new Meeting({ people: [{ name: 1 }] }, { strict: true }))
+        .to.throw(ValidationError, '$.people[0].name: Expected string, got number');
+      expect(() => new Meeting({ when: 5 }, { strict: true }))
+        .to.throw(ValidationError, '$.when: Expected string or null, got number');
+      expect(new Meeting({ when: new Date('2020-01-02') }, { strict: true }).asObject().when)
+        .to.equal('2020-01-02');
+    });
+  });
+
+
+  describe('strict mode', () => {
+    class Person extends TypedModel {
+      static props = {
+        'name': { type: 'string' },
+        'age': { type: 'integer', default: 0 },
+        'birthday': { type: 'string', format: 'date' },
+        'nickname': { type: ['string', 'null'] },
+        'fullName': { type: 'string', readOnly: true },
+      };
+    }
+
+    class StrictPerson extends Person {
+      static options = { strict: true };
+    }
+
+    class Team extends TypedModel {
+      static props = {
+        'lead': { type: Person },
+        'members': { type: 'array', items: { type: Person } },
+        'meta': {
+          type: 'object',
+          properties: {
+            'size': { type: 'number' },
+          },
+        },
+        'extra': { type: 'object' },
+      };
+    }
+
+    function issuesOf(fn) {
+      try {
+        fn();
+      } catch (err) {
+        expect(err).to.be.an.instanceof(ValidationError);
+        return err.issues.map(issue => [issue.pointer, issue.keyword]);
+      }
+      throw new Error('Expected ValidationError');
+    }
+
+    it('Is disabled by default', () => {
+      const person = new Person({ name: 42, unknown: 'x' });
+
+      expect(person.name).to.equal(42);
+      expect(person).to.not.have.own.property('unknown');
+    });
+
+    it('Rejects unknown properties', () => {
+      expect(issuesOf(() => new Person({ name: 'John', unknown: 'x' }, { strict: true })))
+        .to.eql([['/unknown', 'additionalProperties']]);
+    });
+
+    it('Rejects values of the wrong type', () => {
+      expect(issuesOf(() => new Person({ name: 42 }, { strict: true })))
+        .to.eql([['/name', 'type']]);
+      expect(issuesOf(() => new Person({ age: 1.5 }, { strict: true })))
+        .to.eql([['/age', 'type']]);
+      expect(issuesOf(() => new Person({ name: null }, { strict: true })))
+        .to.eql([['/name', 'type']]);
+    });
+
+    it('Accepts valid values', () => {
+      const person = new Person({
+        name: 'John',
+        age: 30,
+        birthday: '1990-01-01',
+        nickname: null,
+        fullName: 'Ignored',
+      }, { strict: true });
+
+      expect(person.name).to.equal('John');
+      expect(person.birthday).to.be.an.instanceof(Date);
+      expect(person.nickname).to.be.null;
+    });
+
+    it('Accepts already loaded format values', () => {
+      const person = new Person({ birthday: new Date(1990, 0, 1) }, { strict: true });
+
+      expect(person.birthday).to.be.an.instanceof(Date);
+      expect(issuesOf(() => new Person({ birthday: null }, { strict: true })))
+        .to.eql([['/birthday', 'type']]);
+    });
+
+    it('Rejects primitives and plain objects in format props', () => {
+      class Event extends TypedModel {
+        static props = {
+          'born': { type: 'string', format: 'date' },
+          'at': { type: 'string', format: 'date-time' },
+        };
+      }
+
+      expect(issuesOf(() => new Event({ born: 5, at: { x: 1 } }, { strict: true, collectErrors: true })))
+        .to.eql([['/born', 'type'], ['/at', 'type']]);
+      expect(issuesOf(() => new Event({ at: [] }, { strict: true })))
+        .to.eql([['/at', 'type']]);
+    });
+
+    it('Does not check defaults', () => {
+      class TestModel extends TypedModel {
+        static props = {
+          'count': { type: 'number', default: '0' },
+        };
+      }
+
+      expect(new TestModel({}, { strict: true }).count).to.equal('0');
+    });
+
+    it('Can be enabled per model', () => {
+      expect(issuesOf(() => new StrictPerson({ name: 'John', unknown: 1 })))
+        .to.eql([['/unknown', 'additionalProperties']]);
+      expect(StrictPerson.allOptions).to.eql({ strict: true });
+    });
+
+    it('Options passed to constructor take precedence', () => {
+      const person = new StrictPerson({ name: 'John', unknown: 1 }, { strict: false });
+
+      expect(person.name).to.equal('John');
+    });
+
+    it('Applies to nested models, arrays and objects', () => {
+      const values = {
+        lead: { name: 'John', age: 'old' },
+        members: [{ name: 'Jack' }, { name: 'Jill', foo: 'bar' }, 'Joe'],
+        meta: { size: 'large', color: 'red' },
+        extra: { anything: 'goes' },
+      };
+
+      expect(issuesOf(() => new Team(values, { strict: true, collectErrors: true }))).to.eql([
+        ['/lead/age', 'type'],
+        ['/members/1/foo', 'additionalProperties'],
+        ['/members/2', 'type'],
+        ['/meta/color', 'additionalProperties'],
+        ['/meta/size', 'type'],
+      ]);
+      expect(issuesOf(() => new Team({ members: 'all' }, { strict: true })))
+        .to.eql([['/members', 'type']]);
+    });
+
+    it('Allows unknown properties if the schema does', () => {
+      const order = new Order({ id: 3, comment: 'Extra' }, { strict: true });
+
+      expect(order.id).to.equal(3);
+    });
+
+    it('Works with setValues()', () => {
+      const person = new Person({ name: 'John' });
+
+      expect(issuesOf(() => person.setValues({ name: 'Jack', foo: 1 }, { strict: true })))
+        .to.eql([['/foo', 'additionalProperties']]);
+      expect(issuesOf(() => person.setValues({ age: '30' }, { strict: true })))
+        .to.eql([['/age', 'type']]);
+      expect(person.name).to.equal('John');
+    });
+  });
+
+
+  describe('polymorphic props', () => {
+    class CardPayment extends TypedModel {
+      static props = {
+        'method': { type: 'string', enum: ['card'], default: 'card' },
+        'cardNumber': { type: 'string' },
+      };
+    }
+
+    class BankTransfer extends TypedModel {
+      static props = {
+        'method': { type: 'string', enum: ['bank'], default: 'bank' },
+        'iban': { type: 'string' },
+        'orderedAt': { type: 'string', format: 'date' },
+      };
+    }
+
+    class Checkout extends TypedModel {
+      static props = {
+        'payment': {
+          oneOf: [CardPayment, BankTransfer],
+          discriminator: {
+            propertyName: 'method',
+            mapping: { card: CardPayment, bank: BankTransfer },
+          },
+        },
+        'history': {
+          type: 'array',
+          items: {
+            anyOf: [CardPayment, BankTransfer],
+            discriminator: { propertyName: 'method', mapping: { card: CardPayment, bank: BankTransfer } },
+          },
+        },
+      };
+    }
+
+    class Undiscriminated extends TypedModel {
+      static props = {
+        'payment': { oneOf: [{ type: CardPayment }, { type: BankTransfer }] },
+        'any': { anyOf: [{ type: 'number' }, { type: 'string' }] },
+      };
+    }
+
+    class NamedTags extends TypedModel {
+      static props = {
+        'payment': {
+          oneOf: [CardPayment, BankTransfer],
+          discriminator: { propertyName: 'method' },
+        },
+      };
+    }
+
+    it('Instantiates the right model using discriminator', () => {
+      const checkout = new Checkout({
+        payment: { method: 'bank', iban: 'PL123', orderedAt: '2020-01-01' },
+        history: [
+          { method: 'card', cardNumber: '1234' },
+          { method: 'bank', iban: 'DE123' },
+        ],
+      });
+
+      expect(checkout.payment).to.be.an.instanceof(BankTransfer);
+      expect(checkout.payment.orderedAt).to.be.an.instanceof(Date);
+      expect(checkout.history[0]).to.be.an.instanceof(CardPayment);
+      expect(checkout.history[1]).to.be.an.instanceof(BankTransfer);
+    });
+
+    it('Raises if discriminator value is unknown', () => {
+      let error;
+      try {
+        new Checkout({ payment: { method: 'cash' } });
+      } catch (err) {
+        error = err;
+      }
+
+      expect(error).to.be.an.instanceof(ValidationError);
+      expect(error.issues[0]).to.include({
+        pointer: '/payment/method',
+        keyword: 'discriminator',
+        actual: 'cash',
+      });
+      expect(error.issues[0].expected).to.eql(['card', 'bank']);
+    });
+
+    it('Uses model names if there is no discriminator mapping', () => {
+      const instance = new NamedTags({ payment: { method: 'BankTransfer', iban: 'PL1' } });
+
+      expect(instance.payment).to.be.an.instanceof(BankTransfer);
+      expect(() => new NamedTags({ payment: { method: 'bank' } })).to.throw(
+        ValidationError,
+        '$.payment.method: Must be one of: "CardPayment", "BankTransfer"',
+      );
+      expect(() => new NamedTags({ payment: 'card' })).to.throw(ValidationError);
+    });
+
+    it('Selects the only matching variant without discriminator', () => {
+      const instance = new Undiscriminated({
+        payment: { method: 'card', cardNumber: '1234' },
+        any: 'text',
+      });
+
+      expect(instance.payment).to.be.an.instanceof(CardPayment);
+      expect(instance.any).to.equal('text');
+    });
+
+    it('Raises if none or more than one variant matches', () => {
+      expect(() => new Undiscriminated({ payment: { method: 'cash' } })).to.throw(
+        ValidationError,
+        '$.payment: Does not match any of the allowed schemas',
+      );
+      expect(() => new Undiscriminated({ payment: {} })).to.throw(
+        ValidationError,
+        '$.payment: Matches more than one of the allowed schemas',
+      );
+    });
+
+    it('Accepts model instances', () => {
+      const payment = new CardPayment({ cardNumber: '1234' });
+      const instance = new Undiscriminated({ payment });
+
+      expect(instance.payment).to.be.an.instanceof(CardPayment);
+      expect(instance.payment.cardNumber).to.equal('1234');
+    });
+
+    it('Dumps the value using the actual model', () => {
+      const checkout = new Checkout({
+        payment: { method: 'bank', iban: 'PL123', orderedAt: '2020-01-01' },
+      });
+
+      expect(checkout.asObject()).to.eql({
+        payment: { method: 'bank', iban: 'PL123', orderedAt: '2020-01-01' },
+        history: [],
+      });
+    });
+
+    it('Emits oneOf and discriminator in the schema', () => {
+      const schema = Checkout.getSchema();
+
+      expect(schema.properties.payment).to.eql({
+        oneOf: [CardPayment.getSchema(), BankTransfer.getSchema()],
+        discriminator: {
+          propertyName: 'method',
+          mapping: { card: 'CardPayment', bank: 'BankTransfer' },
+        },
+      });
+      expect(NamedTags.getSchema().properties.payment.discriminator).to.eql({
+        propertyName: 'method',
+      });
+      expect(Undiscriminated.getSchema().properties.any).to.eql({
+        anyOf: [{ type: 'number' }, { type: 'string' }],
+      });
+    });
+
+    it('Is supported by validate()', () => {
+      expect(Checkout.validate({ payment: { method: 'card', cardNumber: 12 } }).map(e => e.pointer))
+        .to.eql(['/payment/cardNumber']);
+      expect(Undiscriminated.validate({ any: true })[0].keyword).to.equal('anyOf');
+      expect(Undiscriminated.validate({ any: 1 })).to.be.null;
+    });
   });
 
 
@@ -550,6 +1017,26 @@ describe('TypedModel', () => {
     });
 
 
+    it('Converts models nested in arrays and objects', () => {
+      class DoubleNest extends TypedModel {
+        static props = {
+          people: {type: 'array', items: {type: User}},
+          nested: {
+            type: 'object',
+            properties: {
+              user: {type: User},
+            }
+          }
+        };
+      }
+
+      const schema = DoubleNest.getSchema();
+
+      expect(schema.properties.people.items).to.eql(User.getSchema());
+      expect(schema.properties.nested.properties.user).to.eql(User.getSchema());
+    });
+
+
     it('Can extend schema using static schema property', () => {
       const schema = Order.getSchema();
 
@@ -647,6 +1134,128 @@ describe('TypedModel', () => {
   });
 
 
+  describe('model registry', () => {
+    class Employee extends TypedModel {
+      static props = {
+        'name': {type: 'string'},
+        'department': {$ref: 'Department'},
+      };
+    }
+    Employee.register();
+
+    class Department extends TypedModel {
+      static props = {
+        'name': {type: 'string'},
+        'employees': {type: 'array', items: {$ref: 'Employee'}},
+        'head': {$ref: '#/$defs/Employee'},
+      };
+    }
+    Department.register();
+
+    it('register() returns the model class', () => {
+      class Named extends TypedModel {}
+
+      expect(Named.register('CustomName')).to.equal(Named);
+      expect(TypedModel.registry.find('CustomName')).to.equal(Named);
+    });
+
+    it('Resolves $ref by model name', () => {
+      const dept = new Department({
+        name: 'R&D',
+        employees: [
+          { name: 'John', department: { name: 'Sub R&D' } },
+        ],
+        head: { name: 'Jill' },
+      });
+
+      expect(dept.employees[0]).to.be.an.instanceof(Employee);
+      expect(dept.employees[0].department).to.be.an.instanceof(Department);
+      expect(dept.head).to.be.an.instanceof(Employee);
+      expect(dept.asObject()).to.eql({
+        name: 'R&D',
+        employees: [
+          { name: 'John', department: { name: 'Sub R&D', employees: [], head: undefined } },
+        ],
+        head: { name: 'Jill', department: undefined },
+      });
+    });
+
+    it('Raises ValidationError for unknown refs', () => {
+      class Broken extends TypedModel {
+        static props = {
+          'other': {$ref: 'DoesNotExist'},
+        };
+      }
+
+      let error;
+      try {
+        new Broken({ other: {} });
+      } catch (err) {
+        error = err;
+      }
+
+      expect(error).to.be.an.instanceof(ValidationError);
+      expect(error.issues[0]).to.include({
+        pointer: '/other',
+        keyword: '$ref',
+        message: 'Unknown model $ref: DoesNotExist',
+      });
+    });
+
+    it('Inlines the referenced models in the schema', () => {
+      const schema = Employee.getSchema();
+      const { department } = schema.properties;
+
+      expect(department.$id).to.equal('Department');
+      expect(department.properties.employees.items).to.eql({$ref: 'Employee'});
+      expect(department.properties.head).to.eql({$ref: 'Employee'});
+      expect(Department.getSchema({ leaveModels: true }).properties.head).to.eql({$ref: '#/$defs/Employee'});
+    });
+
+    it('Produces schemas with resolvable references', () => {
+      const validate = new Ajv().compile(Employee.getSchema({ dialect: 'draft-07' }));
+
+      expect(validate({ name: 'John', department: { employees: [{ name: 'Jack' }], head: { name: 'Jill' } } }))
+        .to.be.true;
+      expect(validate({ department: { employees: [{ name: 1 }] } })).to.be.false;
+      expect(validate.errors[0].dataPath).to.equal('.department.employees[0].name');
+    });
+
+    it('Is supported by validate()', () => {
+      const errors = Employee.validate({ department: { employees: [{ name: 1 }] } });
+
+      expect(errors.map(e => e.pointer)).to.eql(['/department/employees/0/name']);
+    });
+
+    it('Can be used as discriminator mapping', () => {
+      class Manager extends Employee {
+        static props = {
+          'kind': {type: 'string', default: 'manager'},
+        };
+      }
+      Manager.register('manager');
+
+      class Office extends TypedModel {
+        static props = {
+          'staff': {
+            type: 'array',
+            items: {
+              oneOf: [{$ref: 'Employee'}, {$ref: 'manager'}],
+              discriminator: { propertyName: 'kind', mapping: { manager: 'manager', basic: 'Employee' } },
+            },
+          },
+        };
+      }
+
+      const office = new Office({ staff: [{ kind: 'manager' }, { kind: 'basic' }] });
+
+      expect(office.staff[0]).to.be.an.instanceof(Manager);
+      expect(office.staff[1]).to.be.an.instanceof(Employee);
+      expect(office.staff[1]).to.not.be.an.instanceof(Manager);
+    });
+  });
+
+
   describe('static asObject()', () => {
     it('Works', () => {
       const userData = {
@@ -717,6 +1326,86 @@ describe('TypedModel', () => {
       const obj = instance.asObject();
       expect(typeof obj.theAnswer).to.equal('string');
     });
+
+
+    it('Dumps values at any depth', () => {
+      class Event extends TypedModel {
+        static props = {
+          'name': {type: 'string'},
+          'days': {type: 'array', items: {type: 'string', format: 'date'}},
+          'people': {type: 'array', items: {type: User}},
+          'grid': {type: 'array', items: {type: 'array', items: {type: 'string', format: 'date'}}},
+          'venue': {
+            type: 'object',
+            properties: {
+              'host': {type: User},
+              'opens': {type: 'string', format: 'date-time'},
+            },
+          },
+          'next': {$ref: '#'},
+          'tuple': {type: 'array', prefixItems: [{type: 'string', format: 'date'}, {type: 'integer'}]},
+          'pair': {type: 'array', items: [{type: 'string'}, {type: 'string', format: 'date'}]},
+          'when': {oneOf: [{type: 'integer'}, {type: 'string', format: 'date'}]},
+          'anything': {},
+        };
+      }
+
+      const event = new Event({
+        name: 'Party',
+        days: ['2020-01-01'],
+        people: [{ name: 'Jack', surname: 'Crack' }],
+        grid: [['2020-01-02'], []],
+        venue: { host: { name: 'Jill' }, opens: '2020-01-01T20:00:00.000Z' },
+        next: { name: 'Afterparty', when: '2020-01-03' },
+        when: 5,
+      });
+      event.tuple = [new Date('2020-01-04'), 1];
+      event.pair = ['a', new Date('2020-01-05'), 'extra'];
+      event.anything = { at: new Date('2020-01-06T00:00:00.000Z'), list: [1] };
+
+      const values = event.asObject();
+
+      expect(values).to.eql({
+        name: 'Party',
+        days: ['2020-01-01'],
+        people: [{ name: 'Jack', surname: 'Crack', fullName: 'Jack Crack' }],
+        grid: [['2020-01-02'], []],
+        venue: {
+          host: { name: 'Jill', surname: 'Doe', fullName: 'Jill Doe' },
+          opens: '2020-01-01T20:00:00.000Z',
+        },
+        next: {
+          name: 'Afterparty',
+          days: [],
+          people: [],
+          grid: [],
+          venue: undefined,
+          next: undefined,
+          tuple: [],
+          pair: [],
+          when: '2020-01-03',
+          anything: undefined,
+        },
+        tuple: ['2020-01-04', 1],
+        pair: ['a', '2020-01-05', 'extra'],
+        when: 5,
+        anything: { at: '2020-01-06T00:00:00.000Z', list: [1] },
+      });
+      expect(JSON.parse(JSON.stringify(values))).to.eql(JSON.parse(event.asJsonStr()));
+    });
+
+
+    it('Dumps the values of schemaless models', () => {
+      class Bag extends TypedModel {
+        static schema = { additionalProperties: true };
+      }
+
+      const bag = new Bag({ user: new User({ name: 'Jack' }), at: new Date('2020-01-01') });
+      expect(bag.asObject()).to.eql({
+        user: { name: 'Jack', surname: 'Doe', fullName: 'Jack Doe' },
+        at: '2020-01-01T00:00:00.000Z',
+      });
+    });
   });
 
 
@@ -783,6 +1472,28 @@ describe('TypedModel', () => {
       expect(user).to.not.have.own.property('age');
     });
 
+    it('Does not set anything if one of the values is invalid', () => {
+      TypedModel.formats.register('failing', {
+        load: () => { throw new Error('Invalid value'); },
+        dump: value => value,
+      });
+
+      class TestModel extends TypedModel {
+        static props = {
+          'name': { type: 'string' },
+          'updatedAt': { type: 'string', format: 'failing' },
+        };
+      }
+
+      const instance = new TestModel({ name: 'John' });
+
+      expect(() => instance.setValues(
+        { name: 'Jack', updatedAt: 'x' },
+        { collectErrors: true },
+      )).to.throw(ValidationError, '$.updatedAt: Invalid value');
+      expect(instance.name).to.equal('John');
+    });
+
     it('Uses converters', () => {
       class TestModel extends TypedModel {
         static props = {
@@ -799,6 +1510,459 @@ describe('TypedModel', () => {
       expect(instance.updatedAt).to.eql(updateDate);
     });
   });
+
+  describe('immutable models', () => {
+    class Line extends TypedModel {
+      static props = {
+        'product': {type: 'string'},
+        'quantity': {type: 'integer', default: 1},
+      };
+    }
+
+    class Invoice extends TypedModel {
+      static options = { immutable: true };
+      static props = {
+        'number': {type: 'string'},
+        'issuedAt': {type: 'string', format: 'date'},
+        'lines': {type: 'array', items: {type: Line}},
+        'meta': {type: 'object'},
+        'total': {type: 'number', readOnly: true},
+      };
+
+      get total() {
+        return this.lines.reduce((sum, line) => sum + line.quantity, 0);
+      }
+    }
+
+    it('Deeply freezes the instance', () => {
+      const invoice = new Invoice({
+        number: 'FV/1',
+        issuedAt: '2020-10-18',
+        lines: [{ product: 'pizza' }, { product: 'beer', quantity: 2 }],
+        meta: { tags: ['food'] },
+      });
+
+      expect(Object.isFrozen(invoice)).to.be.true;
+      expect(Object.isFrozen(invoice.lines)).to.be.true;
+      expect(Object.isFrozen(invoice.lines[0])).to.be.true;
+      expect(Object.isFrozen(invoice.meta.tags)).to.be.true;
+      expect(() => { invoice.number = 'FV/2'; }).to.throw(TypeError);
+      expect(() => invoice.lines.push(new Line())).to.throw(TypeError);
+    });
+
+    it('Leaves the given values mutable', () => {
+      const meta = { tags: ['food'], extra: { a: 1 } };
+      const lines = [new Line({ product: 'pizza' })];
+      const invoice = new Invoice({ lines, meta });
+
+      expect(Object.isFrozen(meta)).to.be.false;
+      expect(Object.isFrozen(meta.tags)).to.be.false;
+      expect(Object.isFrozen(meta.extra)).to.be.false;
+      expect(Object.isFrozen(lines)).to.be.false;
+      expect(Object.isFrozen(lines[0])).to.be.false;
+      expect(Object.isFrozen(invoice.meta.extra)).to.be.true;
+      expect(invoice.meta).to.eql(meta);
+
+      meta.extra.a = 2;
+      expect(invoice.meta.extra.a).to.equal(1);
+    });
+
+    it('Can be enabled for a single instance', () => {
+      const line = new Line({ product: 'pizza' }, { immutable: true });
+
+      expect(Object.isFrozen(line)).to.be.true;
+      expect(Object.isFrozen(new Line({ product: 'pizza' }))).to.be.false;
+    });
+
+    it('Does not allow setValues()', () => {
+      const invoice = new Invoice({ number: 'FV/1' });
+
+      expect(() => invoice.setValues({ number: 'FV/2' }))
+        .to.throw('Invoice is immutable, use with() instead');
+    });
+
+    it('with() returns an updated copy', () => {
+      const invoice = new Invoice({
+        number: 'FV/1',
+        issuedAt: '2020-10-18',
+        lines: [{ product: 'pizza' }, { product: 'beer', quantity: 2 }],
+        meta: { tags: ['food'] },
+      });
+      const updated = invoice.with({ number: 'FV/2', issuedAt: '2020-10-19', total: 100 });
+
+      expect(updated).to.be.instanceOf(Invoice);
+      expect(Object.isFrozen(updated)).to.be.true;
+      expect(updated.number).to.equal('FV/2');
+      expect(updated.issuedAt).to.eql(new Date('2020-10-19'));
+      expect(updated.total).to.equal(3);
+      expect(invoice.number).to.equal('FV/1');
+      expect(invoice.issuedAt).to.eql(new Date('2020-10-18'));
+    });
+
+    it('with() reuses the values that did not change', () => {
+      const invoice = new Invoice({
+        number: 'FV/1',
+        issuedAt: '2020-10-18',
+        lines: [{ product: 'pizza' }, { product: 'beer', quantity: 2 }],
+        meta: { tags: ['food'] },
+      });
+      const lines = [invoice.lines[1], { product: 'wine' }];
+      const updated = invoice.with({ lines });
+
+      expect(updated.meta).to.equal(invoice.meta);
+      expect(updated.lines[0]).to.equal(invoice.lines[1]);
+      expect(updated.lines[1]).to.be.instanceOf(Line);
+      expect(updated.lines[1].quantity).to.equal(1);
+      expect(Object.isFrozen(updated.lines)).to.be.true;
+      expect(Object.isFrozen(updated.lines[1])).to.be.true;
+    });
+
+    it('with() validates the new values', () => {
+      const invoice = new Invoice({ number: 'FV/1' });
+
+      expect(() => invoice.with({ lines: [{ product: 'x' }], number: 'x', foo: 1 }, { strict: true }))
+        .to.throw(ValidationError, '$.foo: Is not allowed');
+    });
+
+    it('with() works for mutable models', () => {
+      const user = new User({ name: 'John', surname: 'Jones' });
+      const updated = user.with({ name: 'Jane' });
+
+      expect(Object.isFrozen(updated)).to.be.false;
+      expect(updated.fullName).to.equal('Jane Jones');
+      expect(user.name).to.equal('John');
+      expect(new Line({ product: 'pizza' }, { immutable: true }).with({}).product).to.equal('pizza');
+    });
+  });
+
+  describe('checked assignments', () => {
+    class Address extends TypedModel {
+      static props = {
+        'city': {type: 'string'},
+      };
+    }
+
+    class Customer extends TypedModel {
+      static options = { checkAssignments: true };
+      static props = {
+        'name': {type: 'string', default: 'anonymous'},
+        'birthday': {type: 'string', format: 'date'},
+        'address': {type: Address},
+        'tags': {type: 'array', items: {type: 'string'}},
+        'greeting': {type: 'string', readOnly: true},
+      };
+
+      get greeting() {
+        return `Hello ${this.name}`;
+      }
+    }
+
+    class Branch extends TypedModel {
+      static options = { checkAssignments: true };
+      static props = {
+        'tags': {type: 'array', items: {type: 'string'}},
+        'addresses': {type: 'array', items: {type: Address}},
+        'scores': {type: 'object', additionalProperties: {type: 'number'}},
+      };
+    }
+
+    it('Builds the assigned values', () => {
+      const customer = new Customer({ name: 'John' });
+
+      customer.birthday = '2020-01-01';
+      customer.address = { city: 'Warsaw' };
+      customer.name = undefined;
+
+      expect(customer.birthday).to.eql(new Date('2020-01-01'));
+      expect(customer.address).to.be.instanceOf(Address);
+      expect(customer.address.city).to.equal('Warsaw');
+      expect(customer.name).to.equal('anonymous');
+      expect(customer.greeting).to.equal('Hello anonymous');
+    });
+
+    it('Rejects invalid values', () => {
+      const customer = new Customer({ name: 'John', tags: ['a'] });
+
+      expect(() => { customer.address = 'oops'; })
+        .to.throw(ValidationError, '$.address: Expected Address, got string');
+      expect(() => { customer.tags = ['a', 1]; })
+        .to.throw(ValidationError, '$.tags[1]: Expected string, got number');
+      expect(() => { customer.address = { city: 'Warsaw', zip: '00-001' }; })
+        .to.throw(ValidationError, '$.address.zip: Is not allowed');
+      expect(() => { customer.birthday = 12345; })
+        .to.throw(ValidationError, '$.birthday: Expected string, got number');
+      expect(customer.address).to.be.undefined;
+      expect(customer.tags).to.eql(['a']);
+    });
+
+    it('Rejects writes to readOnly props', () => {
+      const customer = new Customer();
+
+      expect(() => { customer.greeting = 'Hi'; })
+        .to.throw(ValidationError, '$.greeting: Is read only');
+    });
+
+    it('Keeps the model values as they were', () => {
+      const customer = new Customer({ name: 'John', address: { city: 'Warsaw' } });
+
+      expect(Object.keys(customer)).to.eql(['name', 'birthday', 'address', 'tags']);
+      expect(customer.asObject()).to.eql({
+        name: 'John',
+        birthday: undefined,
+        address: { city: 'Warsaw' },
+        tags: [],
+        greeting: 'Hello John',
+      });
+    });
+
+    it('Works with setValues() and with()', () => {
+      const customer = new Customer({ name: 'John' });
+
+      customer.setValues({ birthday: '2020-01-01' });
+      expect(customer.birthday).to.eql(new Date('2020-01-01'));
+
+      const copy = customer.with({ name: 'Jack' });
+      expect(copy.name).to.equal('Jack');
+      expect(() => { copy.address = 'oops'; }).to.throw(ValidationError);
+    });
+
+    it('Rejects invalid values in setValues() and with()', () => {
+      const customer = new Customer({ name: 'John' });
+
+      expect(() => customer.setValues({ name: 5 }))
+        .to.throw(ValidationError, '$.name: Expected string, got number');
+      expect(() => customer.with({ birthday: 12345 }))
+        .to.throw(ValidationError, '$.birthday: Expected string, got number');
+      expect(customer.name).to.equal('John');
+    });
+
+    it('Builds the items added to arrays and objects', () => {
+      const branch = new Branch({ addresses: [{ city: 'Warsaw' }], scores: {} });
+
+      branch.addresses.push({ city: 'Lodz' });
+      branch.addresses.unshift({ city: 'Gdansk' });
+      branch.addresses.sort((a, b) => a.city.localeCompare(b.city));
+      branch.scores.math = 5;
+      branch.setValues({ tags: ['a'] });
+      branch.tags[1] = 'b';
+
+      expect(branch.addresses.every(address => address instanceof Address)).to.be.true;
+      expect(branch.addresses.map(address => address.city)).to.eql(['Gdansk', 'Lodz', 'Warsaw']);
+      expect(branch.scores).to.eql({ math: 5 });
+      expect(branch.tags).to.eql(['a', 'b']);
+    });
+
+    it('Rejects invalid items added to arrays and objects', () => {
+      const branch = new Branch({ addresses: [{ city: 'Warsaw' }], scores: {} });
+
+      expect(() => branch.addresses.push({ city: 5 }))
+        .to.throw(ValidationError, '$.addresses[1].city: Expected string, got number');
+      expect(() => { branch.scores.math = 'A'; })
+        .to.throw(ValidationError, '$.scores.math: Expected number, got string');
+      expect(branch.addresses.map(address => address.city)).to.eql(['Warsaw']);
+      expect(branch.scores).to.eql({});
+    });
+
+    it('Keeps checking the assignments of copies', () => {
+      const address = new Address({ city: 'Warsaw' }, { checkAssignments: true });
+      const copies = [address.clone(), address.with({ city: 'Cracow' })];
+
+      copies.forEach(copy => {
+        expect(() => { copy.city = 5; })
+          .to.throw(ValidationError, '$.city: Expected string, got number');
+        expect(() => copy.setValues({ city: 5 })).to.throw(ValidationError);
+      });
+      expect(() => address.with({ city: 5 })).to.throw(ValidationError);
+    });
+
+    it('Does not allow assignments to immutable models', () => {
+      const customer = new Customer({ name: 'John' }, { immutable: true });
+
+      expect(() => { customer.name = 'Jack'; })
+        .to.throw(TypeError, "Cannot assign to read only property 'name' of Customer");
+    });
+  });
+
+  describe('typed dictionaries', () => {
+    class Member extends TypedModel {
+      static props = {
+        'name': {type: 'string'},
+        'joined': {type: 'string', format: 'date'},
+      };
+    }
+
+    class Club extends TypedModel {
+      static props = {
+        'members': {type: 'object', additionalProperties: {type: Member}},
+        'dates': {
+          type: 'object',
+          properties: { 'founded': {type: 'string', format: 'date'} },
+          patternProperties: { '^n_': {type: 'integer', default: 0} },
+          additionalProperties: false,
+        },
+        'extra': {type: 'object', patternProperties: { '^d_': {type: 'string', format: 'date'} }},
+      };
+    }
+
+    it('Builds every value with the additionalProperties schema', () => {
+      const club = new Club({
+        members: {
+          john: { name: 'John', joined: '2020-01-01' },
+          jane: { name: 'Jane' },
+        },
+      });
+
+      expect(club.members.john).to.be.instanceOf(Member);
+      expect(club.members.john.joined).to.eql(new Date('2020-01-01'));
+      expect(club.members.jane).to.be.instanceOf(Member);
+    });
+
+    it('Builds values matching patternProperties', () => {
+      const club = new Club({
+        dates: { founded: '1990-05-01', n_members: 2, n_guests: undefined, other: 'x' },
+        extra: { d_open: '2020-02-01', note: 'kept' },
+      });
+
+      expect(club.dates).to.eql({ founded: new Date('1990-05-01'), n_members: 2, n_guests: 0 });
+      expect(club.extra).to.eql({ d_open: new Date('2020-02-01'), note: 'kept' });
+    });
+
+    it('Dumps the values back', () => {
+      const club = new Club({
+        members: {
+          john: { name: 'John', joined: '2020-01-01' },
+          jane: { name: 'Jane' },
+        },
+        dates: { founded: '1990-05-01', n_members: 2, n_guests: undefined, other: 'x' },
+        extra: { d_open: '2020-02-01', note: 'kept' },
+      });
+
+      expect(club.asObject()).to.eql({
+        members: {
+          john: { name: 'John', joined: '2020-01-01' },
+          jane: { name: 'Jane', joined: undefined },
+        },
+        dates: { founded: '1990-05-01', n_members: 2, n_guests: 0 },
+        extra: { d_open: '2020-02-01', note: 'kept' },
+      });
+    });
+
+    it('Reports the dictionary keys in error paths', () => {
+      const build = values => () => new Club(values, { collectErrors: true, strict: true });
+
+      expect(build({ members: { john: { name: 1 } }, dates: { n_a: 'x', other: 1 } }))
+        .to.throw(ValidationError)
+        .with.property('message')
+        .that.includes('$.members.john.name')
+        .and.includes('$.dates.n_a')
+        .and.includes('$.dates.other');
+    });
+
+    it('Validates the dictionary values', () => {
+      expect(Club.validate({ members: { john: { name: 'John' } } })).to.be.null;
+      expect(Club.validate({ members: { john: { name: 1 } } })[0].path)
+        .to.eql(['members', 'john', 'name']);
+    });
+  });
+
+  describe('tuples and nested arrays', () => {
+    class Point extends TypedModel {
+      static props = {
+        'name': {type: 'string'},
+      };
+    }
+
+    class Route extends TypedModel {
+      static props = {
+        'start': {
+          type: 'array',
+          prefixItems: [{type: 'number'}, {type: 'number'}, {type: 'string', format: 'date-time'}],
+          items: false,
+        },
+        'stops': {type: 'array', items: [{type: Point}, true], additionalItems: {type: 'integer'}},
+        'grid': {type: 'array', items: {type: 'array', items: {type: 'array', items: {type: Point}}}},
+      };
+    }
+
+    it('Builds every tuple item with the schema for its position', () => {
+      const route = new Route({
+        start: [52.2, 21.0, '2020-01-01T10:00:00.000Z'],
+        stops: [{ name: 'A' }, { any: 'thing' }, 3],
+      });
+
+      expect(route.start).to.eql([52.2, 21.0, new Date('2020-01-01T10:00:00.000Z')]);
+      expect(route.stops[0]).to.be.instanceOf(Point);
+      expect(route.stops.slice(1)).to.eql([{ any: 'thing' }, 3]);
+    });
+
+    it('Builds arrays nested at any depth', () => {
+      const route = new Route({ grid: [[[{ name: 'B' }], []], [[{ name: 'C' }, { name: 'D' }]]] });
+
+      expect(route.grid[0][0][0]).to.be.instanceOf(Point);
+      expect(route.grid[1][0][1].name).to.equal('D');
+      expect(route.grid[0][1]).to.eql([]);
+    });
+
+    it('Leaves out the items the schema forbids', () => {
+      const route = new Route({ start: [1, 2, '2020-01-01T10:00:00.000Z', 'extra'] });
+
+      expect(route.start).to.have.length(3);
+      expect(() => new Route({ start: [1, 2, '2020-01-01T10:00:00.000Z', 'extra'] }, { strict: true }))
+        .to.throw(ValidationError, '$.start[3]: Is not allowed');
+    });
+
+    it('Reports the item positions in error paths', () => {
+      const build = values => () => new Route(values, { collectErrors: true, strict: true });
+
+      expect(build({ start: ['a', 2], stops: [{}, null, 'x'], grid: [[[{ name: 1 }]], [[], [{ name: 2 }]]] }))
+        .to.throw(ValidationError)
+        .with.property('message')
+        .that.includes('$.start[0]: Expected number, got string')
+        .and.includes('$.stops[2]: Expected integer, got string')
+        .and.includes('$.grid[0][0][0].name')
+        .and.includes('$.grid[1][1][0].name');
+    });
+
+    it('Dumps the values back', () => {
+      const route = new Route({
+        start: [52.2, 21.0, '2020-01-01T10:00:00.000Z'],
+        stops: [{ name: 'A' }, { any: 'thing' }, 3],
+        grid: [[[{ name: 'B' }], []], [[{ name: 'C' }, { name: 'D' }]]],
+      });
+
+      expect(route.asObject()).to.eql({
+        start: [52.2, 21.0, '2020-01-01T10:00:00.000Z'],
+        stops: [{ name: 'A' }, { any: 'thing' }, 3],
+        grid: [[[{ name: 'B' }], []], [[{ name: 'C' }, { name: 'D' }]]],
+      });
+    });
+
+    it('Keeps the tuples in the schema', () => {
+      const { properties } = Route.getSchema();
+
+      expect(properties.start.items).to.equal(false);
+      expect(properties.stops.items[0].$id).to.equal('Point');
+      expect(properties.stops.items[1]).to.equal(true);
+      expect(properties.grid.items.items.items.$id).to.equal('Point');
+
+      const defs = Route.getSchema({ defs: true });
+      expect(defs.properties.stops.items).to.eql([{ $ref: '#/$defs/Point' }, true]);
+      expect(defs.properties.grid.items.items.items).to.eql({ $ref: '#/$defs/Point' });
+    });
+
+    it('Validates the tuple items', () => {
+      const route = new Route({
+        start: [52.2, 21.0, '2020-01-01T10:00:00.000Z'],
+        stops: [{ name: 'A' }, { any: 'thing' }, 3],
+        grid: [[[{ name: 'B' }], []], [[{ name: 'C' }, { name: 'D' }]]],
+      });
+
+      expect(route.validate()).to.be.null;
+      expect(Route.validate({ start: [1, 2, 'x', 4] }).map(issue => issue.pointer)).to.eql(['/start/3']);
+      expect(Route.validate({ stops: [{ name: 1 }, 'x', 'y'] }).map(issue => issue.pointer))
+        .to.eql(['/stops/0/name', '/stops/2']);
+    });
+  });
 });
 
 
@@ -0,0 +1,233 @@
+const { expect } = require('chai');
+const { TypedModel } = require('../lib/TypedModel');
+const { ValidationError } = require('../lib/errors');
+const { externalNames, toPropNames } = require('../lib/aliases');
+
+
+class Address extends TypedModel {
+  static options = { naming: 'kebab' };
+  static props = {
+    'streetName': {type: 'string'},
+    'zipCode': {type: 'string', alias: 'postal'},
+  };
+}
+
+
+class Person extends TypedModel {
+  static options = { naming: 'snake' };
+  static schema = { required: ['firstName'] };
+  static props = {
+    'firstName': {type: 'string'},
+    'lastName': {type: 'string', loadAlias: 'surname', dumpAlias: 'family_name'},
+    'homeAddress': {type: Address},
+    'birthDate': {type: 'string', format: 'date'},
+    'fullName': {type: 'string', compute: p => `${p.firstName} ${p.lastName}`},
+  };
+}
+
+
+class Strict extends TypedModel {
+  static options = { naming: 'pascal', strict: true };
+  static props = {
+    'id': {type: 'integer'},
+    'userName': {type: 'string'},
+  };
+}
+
+
+describe('aliases', () => {
+  it('Converts names with the naming strategies', () => {
+    const names = naming => {
+      class Model extends TypedModel {
+        static options = { naming };
+        static props = {
+          'firstName': {type: 'string'},
+          'HTTPServer': {type: 'string'},
+          'address_2': {type: 'string'},
+        };
+      }
+      return Object.values(externalNames(Model, 'dump'));
+    };
+
+    expect(names('camel')).to.eql(['firstName', 'httpServer', 'address2']);
+    expect(names('pascal')).to.eql(['FirstName', 'HttpServer', 'Address2']);
+    expect(names('snake')).to.eql(['first_name', 'http_server', 'address_2']);
+    expect(names('kebab')).to.eql(['first-name', 'http-server', 'address-2']);
+    expect(names(name => name.toUpperCase())).to.eql(['FIRSTNAME', 'HTTPSERVER', 'ADDRESS_2']);
+    expect(names(undefined)).to.eql(['firstName', 'HTTPServer', 'address_2']);
+    expect(() => names('scream')).to.throw('Unknown naming strategy: scream');
+  });
+
+  it('Prefers aliases over the naming strategy', () => {
+    expect(externalNames(Person, 'load')).to.eql({
+      firstName: 'first_name',
+      lastName: 'surname',
+      homeAddress: 'home_address',
+      birthDate: 'birth_date',
+      fullName: 'full_name',
+    });
+    expect(externalNames(Person, 'dump').lastName).to.equal('family_name');
+    expect(externalNames(Address, 'dump').zipCode).to.equal('postal');
+  });
+
+  it('Accepts the external names in the constructor', () => {
+    const person = new Person({
+      first_name: 'John',
+      surname: 'Doe',
+      home_address: { 'street-name': 'Main', postal: '00-001' },
+      birth_date: '1990-01-01',
+    });
+
+    expect(person.firstName).to.equal('John');
+    expect(person.lastName).to.equal('Doe');
+    expect(person.homeAddress).to.be.instanceOf(Address);
+    expect(person.homeAddress.streetName).to.equal('Main');
+    expect(person.homeAddress.zipCode).to.equal('00-001');
+    expect(person.birthDate).to.be.instanceOf(Date);
+    expect(person.fullName).to.equal('John Doe');
+    expect(Object.keys(person)).to.eql(['firstName', 'lastName', 'homeAddress', 'birthDate']);
+  });
+
+  it('Accepts the prop names as well', () => {
+    const person = new Person({ firstName: 'John', lastName: 'Doe', first_name: 'Jack' });
+
+    expect(person.firstName).to.equal('Jack');
+    expect(person.lastName).to.equal('Doe');
+  });
+
+  it('Dumps the external names', () => {
+    const person = new Person({
+      first_name: 'John',
+      surname: 'Doe',
+      home_address: { 'street-name': 'Main', postal: '00-001' },
+      birth_date: '1990-01-01',
+    });
+
+    expect(person.asObject()).to.eql({
+      first_name: 'John',
+      family_name: 'Doe',
+      home_address: { 'street-name': 'Main', postal: '00-001' },
+      birth_date: '1990-01-01',
+      full_name: 'John Doe',
+    });
+    expect(JSON.parse(person.asJsonStr()).family_name).to.equal('Doe');
+  });
+
+  it('Documents the external shape in the schema', () => {
+    const schema = Person.getSchema();
+
+    expect(Object.keys(schema.properties)).to.eql([
+      'first_name', 'family_name', 'home_address', 'birth_date', 'full_name',
+    ]);
+    expect(schema.required).to.eql(['first_name']);
+    expect(schema.properties.family_name).to.eql({ type: 'string' });
+    expect(schema.properties.home_address.properties).to.eql({
+      'street-name': { type: 'string' },
+      'postal': { type: 'string' },
+    });
+
+    const defs = Person.getSchema({ defs: true });
+    expect(Object.keys(defs.properties)).to.include('family_name');
+    expect(Object.keys(defs.$defs.Address.properties)).to.eql(['street-name', 'postal']);
+
+    // Models are still built using the prop names.
+    expect(Object.keys(Person.getSchema({ leaveModels: true }).properties)).to.include('lastName');
+  });
+
+  it('Renames the props in setValues() and with()', () => {
+    const person = new Person({
+      first_name: 'John',
+      surname: 'Doe',
+      home_address: { postal: '00-001' },
+    });
+
+    person.setValues({ surname: 'Smith', home_address: { postal: '00-002' } });
+    expect(person.lastName).to.equal('Smith');
+    expect(person.homeAddress.zipCode).to.equal('00-002');
+
+    const copy = person.with({ first_name: 'Jack' });
+    expect(copy.firstName).to.equal('Jack');
+    expect(copy.lastName).to.equal('Smith');
+  });
+
+  it('Validates values with external names', () => {
+    expect(Person.validate({ first_name: 'John', home_address: { postal: '00-001' } })).to.be.null;
+    expect(Person.validate({ surname: 1 })).to.have.length(2);
+    expect(new Person({ first_name: 'John', surname: 'Doe' }).validate()).to.be.null;
+  });
+
+  it('Reports the external names in error paths', () => {
+    const issuesOf = fn => {
+      try {
+        fn();
+      } catch (err) {
+        expect(err).to.be.instanceOf(ValidationError);
+        return err.issues.map(issue => issue.pointer);
+      }
+      throw new Error('Expected ValidationError');
+    };
+    const invalid = { first_name: 1, surname: 2, home_address: { zipCode: 3 }, birth_date: {} };
+
+    expect(issuesOf(() => new Person(invalid, { strict: true, collectErrors: true }))).to.eql([
+      '/first_name', '/surname', '/home_address/postal', '/birth_date',
+    ]);
+    expect(() => new Person({ first_name: 1 }, { strict: true }))
+      .to.throw(ValidationError, '$.first_name: Expected string, got number');
+    const person = new Person({ first_name: 'John' });
+    expect(issuesOf(() => person.setValues({ surname: 1 }, { strict: true })))
+      .to.eql(['/surname']);
+    expect(issuesOf(() => person.with({ home_address: { postal: 1 } }, { strict: true })))
+      .to.eql(['/home_address/postal']);
+  });
+
+  it('Reports the patched paths', () => {
+    const person = new Person({ first_name: 'John', surname: 'Doe' });
+    const patch = [{ op: 'replace', path: '/family_name', value: 1 }];
+
+    expect(() => person.applyPatch(patch, { strict: true }))
+      .to.throw(ValidationError, '$.family_name: Expected string, got number');
+  });
+
+  it('Reports the external names in validate()', () => {
+    const pointers = issues => issues.map(issue => issue.pointer);
+
+    expect(pointers(Person.validate({ first_name: 1, surname: 2, home_address: { postal: 3 } })))
+      .to.eql(['/first_name', '/surname', '/home_address/postal']);
+
+    const person = new Person({ first_name: 'John', surname: 'Doe' });
+    person.lastName = null;
+    expect(pointers(person.validate())).to.eql(['/family_name']);
+  });
+
+  it('Rejects unknown names in strict mode', () => {
+    expect(new Strict({ Id: 1, UserName: 'john' }).userName).to.equal('john');
+    expect(new Strict({ id: 1 }).id).to.equal(1);
+    expect(() => new Strict({ user_name: 'john' })).to.throw(ValidationError);
+  });
+
+  it('Patches models using the dumped names', () => {
+    const person = new Person({
+      first_name: 'John',
+      surname: 'Doe',
+      home_address: { postal: '00-001' },
+    });
+    const other = person.with({ lastName: 'Smith' });
+    const patch = Person.diff(person, other);
+
+    expect(patch).to.eql([
+      { op: 'replace', path: '/family_name', value: 'Smith' },
+      { op: 'replace', path: '/full_name', value: 'John Smith' },
+    ]);
+    person.applyPatch(patch);
+    expect(person.lastName).to.equal('Smith');
+    expect(person.homeAddress.zipCode).to.equal('00-001');
+  });
+
+  it('Leaves values without external names alone', () => {
+    const values = { firstName: 'John' };
+
+    expect(toPropNames(Person, values)).to.equal(values);
+    expect(toPropNames(Person, null)).to.be.null;
+    expect(toPropNames(Person, new Person({ first_name: 'John' }))).to.be.instanceOf(Person);
+  });
+});
@@ -0,0 +1,168 @@
+const { expect } = require('chai');
+const { TypedModel } = require('../lib/TypedModel');
+
+
+class Address extends TypedModel {
+  static props = {
+    'city': {type: 'string'},
+    'street': {type: 'string'},
+  };
+}
+
+
+class Person extends TypedModel {
+  static options = { trackChanges: true };
+  static props = {
+    'name': {type: 'string'},
+    'birthday': {type: 'string', format: 'date'},
+    'address': {type: Address},
+    'tags': {type: 'array', items: {type: 'string'}},
+    'meta': {type: 'object'},
+    'greeting': {type: 'string', readOnly: true},
+  };
+
+  get greeting() {
+    return `Hello ${this.name}`;
+  }
+}
+
+
+describe('change tracking', () => {
+  it('Starts clean', () => {
+    const person = new Person({ name: 'John', address: { city: 'Warsaw' } });
+
+    expect(person.isDirty()).to.be.false;
+    expect(person.getChanges()).to.eql([]);
+  });
+
+  it('Tracks setValues() and direct assignments', () => {
+    const person = new Person({
+      name: 'John',
+      birthday: '1990-01-01',
+      tags: ['a', 'b'],
+      meta: { source: 'import' },
+    });
+
+    person.setValues({ name: 'Jack', birthday: '1990-01-02' });
+    person.meta.source = 'api';
+
+    expect(person.isDirty()).to.be.true;
+    expect(person.isDirty('name')).to.be.true;
+    expect(person.isDirty('meta')).to.be.true;
+    expect(person.isDirty('tags')).to.be.false;
+    expect(person.getChanges()).to.eql([
+      { path: ['name'], pointer: '/name', old: 'John', new: 'Jack' },
+      {
+        path: ['birthday'],
+        pointer: '/birthday',
+        old: new Date('1990-01-01'),
+        new: new Date('1990-01-02'),
+      },
+      { path: ['meta', 'source'], pointer: '/meta/source', old: 'import', new: 'api' },
+    ]);
+  });
+
+  it('Compares dates by value', () => {
+    const person = new Person({ birthday: '1990-01-01' });
+
+    person.birthday = new Date('1990-01-01');
+
+    expect(person.isDirty()).to.be.false;
+  });
+
+  it('Reports changes in nested models and arrays', () => {
+    const person = new Person({ address: { city: 'Warsaw' }, tags: ['a', 'b'] });
+
+    person.address.city = 'Cracow';
+    person.tags[1] = 'c';
+
+    expect(person.getChanges().map(change => change.pointer)).to.eql([
+      '/address/city', '/tags/1',
+    ]);
+  });
+
+  it('Reports replaced values as a whole', () => {
+    const person = new Person({ address: { city: 'Warsaw', street: 'Main' }, tags: ['a', 'b'] });
+
+    person.tags.push('c');
+    person.address = undefined;
+
+    expect(person.getChanges()).to.eql([
+      {
+        path: ['address'],
+        pointer: '/address',
+        old: new Address({ city: 'Warsaw', street: 'Main' }),
+        new: undefined,
+      },
+      { path: ['tags'], pointer: '/tags', old: ['a', 'b'], new: ['a', 'b', 'c'] },
+    ]);
+  });
+
+  it('commit() makes the current values the committed ones', () => {
+    const person = new Person({ name: 'John', tags: ['a', 'b'] });
+
+    person.name = 'Jack';
+    person.commit();
+
+    expect(person.isDirty()).to.be.false;
+
+    person.tags.push('c');
+    expect(person.isDirty('tags')).to.be.true;
+  });
+
+  it('revert() restores the committed values', () => {
+    const person = new Person({ name: 'John', address: { city: 'Warsaw' } });
+
+    person.setValues({ name: 'Jack' });
+    person.address.city = 'Cracow';
+    person.extra = true;
+    person.revert();
+
+    expect(person.isDirty()).to.be.false;
+    expect(person.name).to.equal('John');
+    expect(person.address.city).to.equal('Warsaw');
+    expect(person).to.not.have.own.property('extra');
+
+    // The committed values are not shared with the model.
+    person.address.city = 'Cracow';
+    person.revert();
+    expect(person.address.city).to.equal('Warsaw');
+  });
+
+  it('Tracks models without props', () => {
+    class Anything extends TypedModel {
+      static schema = { additionalProperties: true };
+    }
+
+    const model = new Anything({ a: 1 }, { trackChanges: true });
+    model.b = 2;
+
+    expect(model.getChanges()).to.eql([{ path: ['b'], pointer: '/b', old: undefined, new: 2 }]);
+  });
+
+  it('Keeps tracking the changes of copies', () => {
+    const address = new Address({ city: 'Warsaw' }, { trackChanges: true });
+    address.city = 'Cracow';
+
+    const copy = address.clone();
+    const other = address.with({ street: 'Long' });
+
+    expect(copy.getChanges()).to.eql(address.getChanges());
+    expect(other.isDirty('city')).to.be.true;
+    expect(other.isDirty('street')).to.be.true;
+
+    copy.revert();
+    expect(copy.city).to.equal('Warsaw');
+    expect(address.city).to.equal('Cracow');
+  });
+
+  it('Is opt-in', () => {
+    const address = new Address({ city: 'Warsaw' });
+
+    expect(() => address.isDirty()).to.throw('Change tracking is not enabled for Address');
+
+    address.commit();
+    address.city = 'Cracow';
+    expect(address.isDirty('city')).to.be.true;
+  });
+});
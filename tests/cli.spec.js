@@ -0,0 +1,153 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const { main } = require('../lib/cli');
+
+
+const schema = {
+  title: 'Person',
+  type: 'object',
+  properties: {
+    'name': {type: 'string'},
+    'address': {
+      type: 'object',
+      properties: {
+        'city': {type: 'string'},
+      },
+    },
+  },
+};
+
+
+// Run the CLI and capture the output.
+function run(...argv) {
+  const output = { stdout: '', stderr: '' };
+  const stream = name => ({ write: text => { output[name] += text; } });
+  const code = main(argv, { stdout: stream('stdout'), stderr: stream('stderr') });
+
+  return { code, ...output };
+}
+
+
+describe('typed-models CLI', () => {
+  let dir;
+  let schemaPath;
+  let outDir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'typed-models-cli-'));
+    schemaPath = path.join(dir, 'person.json');
+    outDir = path.join(dir, 'models');
+    fs.writeFileSync(schemaPath, JSON.stringify(schema));
+  });
+
+  it('Writes one file per model', () => {
+    const result = run(schemaPath, '--out', outDir);
+
+    expect(result.code).to.equal(0);
+    expect(fs.readdirSync(outDir).sort()).to.eql(['Person.js', 'PersonAddress.js']);
+    expect(result.stdout).to.include(`Wrote ${path.join(outDir, 'Person.js')}`);
+  });
+
+  it('Allows to change where TypedModel is imported from', () => {
+    run(schemaPath, '-o', outDir, '--import-from', '../base');
+
+    expect(fs.readFileSync(path.join(outDir, 'Person.js'), 'utf8'))
+      .to.include("import { TypedModel } from '../base';");
+  });
+
+  it('Check passes if the files are up to date', () => {
+    run(schemaPath, '-o', outDir);
+    const result = run(schemaPath, '-o', outDir, '--check');
+
+    expect(result.code).to.equal(0);
+    expect(result.stdout).to.equal('All 2 files are up to date\n');
+  });
+
+  it('Check fails if the files differ or are missing', () => {
+    run(schemaPath, '-o', outDir);
+    fs.appendFileSync(path.join(outDir, 'Person.js'), '// changed\n');
+    fs.unlinkSync(path.join(outDir, 'PersonAddress.js'));
+
+    const result = run(schemaPath, '-o', outDir, '--check');
+
+    expect(result.code).to.equal(1);
+    expect(result.stderr).to.include(`Outdated: ${path.join(outDir, 'Person.js')}`);
+    expect(result.stderr).to.include(`Outdated: ${path.join(outDir, 'PersonAddress.js')}`);
+    expect(fs.readFileSync(path.join(outDir, 'Person.js'), 'utf8')).to.include('// changed');
+  });
+
+  it('Fails if two schemas generate the same file', () => {
+    const result = run(schemaPath, schemaPath, '-o', outDir);
+
+    expect(result.code).to.equal(1);
+    expect(result.stderr).to.include('Person.js is already generated from another schema');
+  });
+
+  it('Fails on invalid input files', () => {
+    fs.writeFileSync(schemaPath, '{ not json');
+
+    const result = run(schemaPath);
+
+    expect(result.code).to.equal(1);
+    expect(result.stderr).to.include(`Cannot read ${schemaPath}`);
+  });
+
+  it('Reads YAML documents', () => {
+    const yamlPath = path.join(dir, 'api.yaml');
+    fs.writeFileSync(yamlPath, [
+      'openapi: 3.0.0',
+      'components:',
+      '  schemas:',
+      '    Person:',
+      '      type: object',
+      '      properties:',
+      '        name: {type: string}',
+    ].join('\n'));
+
+    const result = run('--out', outDir, yamlPath);
+
+    expect(result.code).to.equal(0);
+    expect(fs.readFileSync(path.join(outDir, 'Person.js'), 'utf8'))
+      .to.include("'name': {type: 'string'}");
+  });
+
+  it('Fails on invalid YAML documents', () => {
+    const yamlPath = path.join(dir, 'api.yml');
+    fs.writeFileSync(yamlPath, 'a: [');
+
+    const result = run(yamlPath);
+
+    expect(result.code).to.equal(1);
+    expect(result.stderr).to.include(`Cannot read ${yamlPath}`);
+  });
+
+  it('Shows help', () => {
+    const result = run('--help');
+
+    expect(result.code).to.equal(0);
+    expect(result.stdout).to.include('Usage: typed-models');
+  });
+
+  it('Writes to the process output by default', () => {
+    const write = jest.spyOn(process.stdout, 'write').mockImplementation(() => true);
+
+    try {
+      expect(main(['--help'])).to.equal(0);
+      expect(write.mock.calls[0][0]).to.include('Usage: typed-models');
+    }
+    finally {
+      write.mockRestore();
+    }
+  });
+
+  it('Rejects invalid usage', () => {
+    expect(run().stderr).to.include('No schema files given');
+    expect(run(schemaPath, '--foo').stderr).to.include('Unknown option: --foo');
+
+    const result = run(schemaPath, '--out');
+    expect(result.code).to.equal(2);
+    expect(result.stderr).to.include('Missing value for --out');
+  });
+});
@@ -0,0 +1,193 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const babel = require('@babel/core');
+const { expect } = require('chai');
+const { generateModels } = require('../lib/codegen');
+
+
+const apiDoc = {
+  openapi: '3.0.3',
+  components: {
+    schemas: {
+      Order: {
+        type: 'object',
+        description: 'Customer\'s order',
+        required: ['id'],
+        properties: {
+          'id': {type: 'integer'},
+          'createdAt': {type: 'string', format: 'date-time'},
+          'customer': {$ref: '#/components/schemas/Customer'},
+          'lines': {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                'product': {type: 'string'},
+                'quantity': {type: 'integer', default: 1},
+              },
+            },
+          },
+          'related': {type: 'array', items: {$ref: '#/components/schemas/Order'}},
+        },
+      },
+      Customer: {
+        type: 'object',
+        properties: {
+          'name': {type: 'string'},
+          'orders': {type: 'array', items: {$ref: '#/components/schemas/Order'}},
+          'address': {$ref: '#/components/schemas/Address'},
+        },
+      },
+      Address: {
+        type: 'object',
+        properties: {
+          'street': {type: 'string'},
+          'country code': {type: 'string', enum: ['PL', 'GB'], default: 'PL'},
+        },
+      },
+      Status: {type: 'string', enum: ['new', 'paid']},
+    },
+  },
+};
+
+
+// Compile the generated modules the same way the library is built and load them.
+function loadModels(files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'typed-models-'));
+  const babelrc = JSON.parse(fs.readFileSync(path.join(__dirname, '../.babelrc'), 'utf8'));
+
+  Object.entries(files).forEach(([fileName, source]) => {
+    const { code } = babel.transformSync(source, {
+      ...babelrc,
+      babelrc: false,
+      configFile: false,
+      filename: fileName,
+    });
+    fs.writeFileSync(path.join(dir, fileName), code);
+  });
+
+  return name => require(path.join(dir, name))[name];
+}
+
+
+describe('generateModels()', () => {
+  const files = generateModels(apiDoc, { importFrom: path.join(__dirname, '../lib/TypedModel') });
+
+  it('Generates one module per model', () => {
+    expect(Object.keys(files).sort()).to.eql([
+      'Address.js', 'Customer.js', 'Order.js', 'OrderLines.js',
+    ]);
+  });
+
+  it('Writes props as source code', () => {
+    expect(files['Address.js']).to.equal([
+      '// Generated by typed-models. Do not edit by hand.',
+      `import { TypedModel } from '${path.join(__dirname, '../lib/TypedModel')}';`,
+      '',
+      '',
+      'export class Address extends TypedModel {',
+      '  static props = {',
+      "    'street': {type: 'string'},",
+      "    'country code': {type: 'string', enum: ['PL', 'GB'], default: 'PL'},",
+      '  };',
+      '',
+      '  static schema = {additionalProperties: true};',
+      '}',
+      '',
+    ].join('\n'));
+  });
+
+  it('Keeps the remaining schema keywords', () => {
+    expect(files['Order.js']).to.include([
+      '  static schema = {',
+      "    description: 'Customer\\'s order',",
+      "    required: ['id'],",
+      '    additionalProperties: true,',
+      '  };',
+    ].join('\n'));
+  });
+
+  it('Imports the models used', () => {
+    expect(files['Order.js']).to.include("import { OrderLines } from './OrderLines';");
+    expect(files['Order.js']).to.include("'lines': {type: 'array', items: {type: OrderLines}},");
+    expect(files['Customer.js']).to.include("import { Address } from './Address';");
+  });
+
+  it('Uses $ref: "#" for self recursion', () => {
+    expect(files['Order.js']).to.include("'related': {type: 'array', items: {$ref: '#'}},");
+  });
+
+  it('References models by name instead of creating import cycles', () => {
+    expect(files['Order.js']).to.include("import './Customer';");
+    expect(files['Order.js']).to.include("'customer': {$ref: 'Customer'},");
+    expect(files['Order.js']).to.include('Order.register();');
+    expect(files['Customer.js']).to.include("'orders': {type: 'array', items: {$ref: 'Order'}},");
+    expect(files['Address.js']).not.to.include('register()');
+  });
+
+  it('Splits long definitions into multiple lines', () => {
+    const source = generateModels({
+      type: 'object',
+      title: 'Long',
+      properties: {
+        'value': {type: 'string', description: 'A fairly long description of the value that does not fit'},
+        'empty': {type: 'array', items: {}, enum: []},
+        'anything': true,
+        'code': {type: 'string', enum: ['first-value', 'second-value', 'third-value', 'fourth']},
+      },
+    })['Long.js'];
+
+    expect(source).to.include([
+      "    'value': {",
+      "      type: 'string',",
+      "      description: 'A fairly long description of the value that does not fit',",
+      '    },',
+    ].join('\n'));
+    expect(source).to.include("'empty': {type: 'array', items: {}, enum: []},");
+    expect(source).to.include("'anything': true,");
+    expect(source).to.include([
+      "    'code': {",
+      "      type: 'string',",
+      "      enum: ['first-value', 'second-value', 'third-value', 'fourth'],",
+      '    },',
+    ].join('\n'));
+    expect(source).to.include("import { TypedModel } from 'typed-models';");
+  });
+
+  it('Converts the references in the model schema', () => {
+    const teamFiles = generateModels({
+      $defs: {
+        Team: {
+          type: 'object',
+          properties: { 'name': {type: 'string'} },
+          additionalProperties: {$ref: '#/$defs/Person'},
+        },
+        Person: { type: 'object', properties: { 'name': {type: 'string'} } },
+      },
+    });
+
+    expect(teamFiles['Team.js']).to.include("import { Person } from './Person';");
+    expect(teamFiles['Team.js']).to.include('  static schema = {additionalProperties: {type: Person}};');
+  });
+
+  it('Generates working models', () => {
+    const load = loadModels(files);
+    const Order = load('Order');
+    const Customer = load('Customer');
+    const order = new Order({
+      id: 1,
+      createdAt: '2020-10-18T12:00:00.000Z',
+      customer: { name: 'John', orders: [{ id: 2 }], address: { street: 'Main' } },
+      lines: [{ product: 'pizza' }],
+      related: [{ id: 3 }],
+    });
+
+    expect(order.createdAt).to.be.instanceOf(Date);
+    expect(order.customer).to.be.instanceOf(Customer);
+    expect(order.customer.orders[0]).to.be.instanceOf(Order);
+    expect(order.customer.address['country code']).to.equal('PL');
+    expect(order.lines[0].quantity).to.equal(1);
+    expect(order.related[0]).to.be.instanceOf(Order);
+  });
+});
@@ -0,0 +1,160 @@
+const { expect } = require('chai');
+const { coerceValue } = require('../lib/coercion');
+const { ValidationError } = require('../lib/errors');
+const { TypedModel } = require('../lib/TypedModel');
+
+
+describe('coerceValue()', () => {
+  const coerce = (schema, value, options) => coerceValue(['prop'], schema, value, options);
+
+  it('Converts strings to numbers', () => {
+    expect(coerce({ type: 'number' }, '42')).to.equal(42);
+    expect(coerce({ type: 'number' }, '3.14')).to.equal(3.14);
+    expect(coerce({ type: 'integer' }, '-7')).to.equal(-7);
+  });
+
+  it('Converts strings to booleans', () => {
+    expect(coerce({ type: 'boolean' }, 'true')).to.be.true;
+    expect(coerce({ type: 'boolean' }, 'false')).to.be.false;
+  });
+
+  it('Wraps single values in an array', () => {
+    expect(coerce({ type: 'array' }, 'a')).to.eql(['a']);
+    expect(coerce({ type: 'array' }, ['a'])).to.eql(['a']);
+    expect(coerce({ type: 'array' }, null)).to.be.null;
+  });
+
+  it('Tries all types from the list', () => {
+    expect(coerce({ type: ['boolean', 'number'] }, '1')).to.equal(1);
+    expect(coerce({ type: ['number', 'null'] }, 'null')).to.be.null;
+  });
+
+  it('Leaves values of the right type alone', () => {
+    expect(coerce({ type: 'number' }, 42)).to.equal(42);
+    expect(coerce({ type: 'string' }, '42')).to.equal('42');
+    expect(coerce({ type: ['string', 'number'] }, '42')).to.equal('42');
+    expect(coerce({ type: 'object' }, 'x')).to.equal('x');
+    expect(coerce({}, 'x')).to.equal('x');
+  });
+
+  it('Raises ValidationError if the value cannot be converted', () => {
+    const check = (schema, value, message) => {
+      expect(() => coerce(schema, value)).to.throw(ValidationError, `$.prop: ${message}`);
+    };
+
+    check({ type: 'number' }, 'abc', 'Cannot convert "abc" to number');
+    check({ type: 'number' }, ' ', 'Cannot convert " " to number');
+    check({ type: 'integer' }, '1.5', 'Cannot convert "1.5" to integer');
+    check({ type: 'number' }, '0x10', 'Cannot convert "0x10" to number');
+    check({ type: 'number' }, '1e3', 'Cannot convert "1e3" to number');
+    check({ type: 'number' }, 'Infinity', 'Cannot convert "Infinity" to number');
+    check({ type: 'integer' }, ' 42 ', 'Cannot convert " 42 " to integer');
+    check({ type: 'boolean' }, 'yes', 'Cannot convert "yes" to boolean');
+  });
+
+  it('Can convert empty strings to null or undefined', () => {
+    expect(coerce({ type: 'number' }, '', { emptyStrings: 'null' })).to.be.null;
+    expect(coerce({ type: 'number' }, '', { emptyStrings: 'undefined' })).to.be.undefined;
+    expect(coerce({ type: 'string', format: 'date' }, '', { emptyStrings: 'null' })).to.be.null;
+  });
+
+  it('Keeps empty strings for plain string values', () => {
+    expect(coerce({ type: 'string' }, '', { emptyStrings: 'null' })).to.equal('');
+  });
+});
+
+
+describe('coerce option', () => {
+  class Filters extends TypedModel {
+    static props = {
+      'page': { type: 'integer', default: 1 },
+      'price': { type: 'number' },
+      'active': { type: 'boolean' },
+      'tags': { type: 'array', items: { type: 'string' } },
+      'ids': { type: 'array', items: { type: 'integer' } },
+      'since': { type: 'string', format: 'date' },
+    };
+  }
+
+  it('Is disabled by default', () => {
+    const filters = new Filters({ page: '2' });
+
+    expect(filters.page).to.equal('2');
+  });
+
+  it('Converts the values according to the schema', () => {
+    const filters = new Filters({
+      page: '2',
+      price: '9.99',
+      active: 'false',
+      tags: 'new',
+      ids: ['1', '2'],
+      since: '2020-01-01',
+    }, { coerce: true });
+
+    expect(filters.asObject()).to.eql({
+      page: 2,
+      price: 9.99,
+      active: false,
+      tags: ['new'],
+      ids: [1, 2],
+      since: '2020-01-01',
+    });
+  });
+
+  it('Can replace empty strings', () => {
+    const options = { coerce: true, emptyStrings: 'undefined' };
+    const filters = new Filters({ page: '', price: '', since: '' }, options);
+
+    expect(filters.page).to.equal(1);
+    expect(filters.price).to.be.undefined;
+    expect(filters.since).to.be.undefined;
+
+    const withNulls = new Filters({ page: '' }, { coerce: true, emptyStrings: 'null' });
+    expect(withNulls.page).to.be.null;
+  });
+
+  it('Replaces empty strings with null only for nullable arrays', () => {
+    class Search extends TypedModel {
+      static props = {
+        'tags': { type: 'array', items: { type: 'string' } },
+        'ids': { type: ['array', 'null'], items: { type: 'integer' } },
+      };
+    }
+    const options = { coerce: true, emptyStrings: 'null' };
+
+    expect(new Search({ ids: '' }, options).ids).to.be.null;
+    expect(new Search({ ids: ['1', '2'] }, options).ids).to.eql([1, 2]);
+    expect(new Search({ ids: '3' }, options).ids).to.eql([3]);
+    expect(() => new Search({ tags: '' }, options))
+      .to.throw(ValidationError, '$.tags: Expected array, got null');
+  });
+
+  it('Reports values that cannot be converted with their path', () => {
+    let error;
+    try {
+      new Filters({ page: 'first', ids: ['1', 'two'] }, { coerce: true, collectErrors: true });
+    } catch (err) {
+      error = err;
+    }
+
+    expect(error).to.be.an.instanceof(ValidationError);
+    expect(error.issues.map(issue => [issue.pointer, issue.message])).to.eql([
+      ['/page', 'Cannot convert "first" to integer'],
+      ['/ids/1', 'Cannot convert "two" to integer'],
+    ]);
+  });
+
+  it('Works together with strict mode', () => {
+    const filters = new Filters({ page: '3' }, { coerce: true, strict: true });
+
+    expect(filters.page).to.equal(3);
+  });
+
+  it('Works with setValues()', () => {
+    const filters = new Filters();
+
+    filters.setValues({ price: '12' }, { coerce: true });
+    expect(filters.price).to.equal(12);
+  });
+});
@@ -0,0 +1,182 @@
+const { expect } = require('chai');
+const { TypedModel } = require('../lib/TypedModel');
+
+
+class Money {
+  constructor(amount, currency) {
+    this.amount = amount;
+    this.currency = currency;
+  }
+}
+
+TypedModel.formats.register('money', {
+  load: str => {
+    const [amount, currency] = str.split(' ');
+    return new Money(Number(amount), currency);
+  },
+  dump: money => `${money.amount} ${money.currency}`,
+});
+
+
+class Line extends TypedModel {
+  static props = {
+    'product': {type: 'string'},
+    'price': {type: 'string', format: 'money'},
+  };
+}
+
+
+class Order extends TypedModel {
+  static props = {
+    'id': {type: 'integer'},
+    'createdAt': {type: 'string', format: 'date-time'},
+    'lines': {type: 'array', items: {type: Line}},
+    'prices': {type: 'array', prefixItems: [{type: 'string', format: 'money'}], items: {type: 'string'}},
+    'meta': {type: 'object', additionalProperties: {type: 'string', format: 'date'}},
+    'summary': {type: 'string', readOnly: true},
+  };
+
+  get summary() {
+    return `${this.id}: ${this.lines.length} lines (${this.describedAt || 'now'})`;
+  }
+}
+
+
+const values = {
+  id: 1,
+  createdAt: '2020-10-18T12:00:00.000Z',
+  lines: [{ product: 'pizza', price: '10 EUR' }],
+  prices: ['5 PLN', 'free'],
+  meta: { shippedAt: '2020-10-19' },
+};
+
+
+describe('clone()', () => {
+  it('Creates a deep copy', () => {
+    const order = new Order(values);
+    const copy = order.clone();
+
+    expect(copy).to.be.instanceOf(Order);
+    expect(copy).to.not.equal(order);
+    expect(copy.lines[0]).to.be.instanceOf(Line);
+    expect(copy.lines[0]).to.not.equal(order.lines[0]);
+    expect(copy.createdAt).to.eql(order.createdAt);
+    expect(copy.createdAt).to.not.equal(order.createdAt);
+    expect(copy.lines[0].price).to.be.instanceOf(Money);
+    expect(copy.lines[0].price).to.not.equal(order.lines[0].price);
+    expect(copy.prices).to.eql(order.prices);
+    expect(copy.meta.shippedAt).to.eql(order.meta.shippedAt);
+    expect(copy.meta).to.not.equal(order.meta);
+    expect(copy.asObject()).to.eql(order.asObject());
+  });
+
+  it('Changing the copy does not affect the original', () => {
+    const order = new Order(values);
+    const copy = order.clone();
+
+    copy.lines[0].product = 'beer';
+    copy.createdAt.setFullYear(2000);
+
+    expect(order.lines[0].product).to.equal('pizza');
+    expect(order.createdAt.getFullYear()).to.equal(2020);
+  });
+
+  it('Returns immutable models as they are', () => {
+    const line = new Line({ product: 'pizza' }, { immutable: true });
+
+    expect(line.clone()).to.equal(line);
+  });
+
+  it('Copies values of models without props', () => {
+    class Anything extends TypedModel {
+      static schema = { additionalProperties: true };
+    }
+    const model = new Anything({ tuple: [1, { a: 2 }], date: new Date(0) });
+    const copy = model.clone();
+
+    expect(copy.tuple).to.eql([1, { a: 2 }]);
+    expect(copy.tuple[1]).to.not.equal(model.tuple[1]);
+    expect(copy.date).to.eql(new Date(0));
+  });
+});
+
+
+describe('equals()', () => {
+  it('Compares values, not references', () => {
+    const order = new Order(values);
+
+    expect(order.equals(new Order(values))).to.be.true;
+    expect(order.equals(order.clone())).to.be.true;
+  });
+
+  it('Detects differences in nested values', () => {
+    const order = new Order(values);
+    const changed = [
+      { createdAt: '2020-10-18T12:00:01.000Z' },
+      { lines: [{ product: 'pizza', price: '11 EUR' }] },
+      { lines: [] },
+      { prices: ['5 EUR', 'free'] },
+      { meta: { shippedAt: '2020-10-20' } },
+    ];
+
+    changed.forEach(change => {
+      expect(order.equals(new Order({ ...values, ...change }))).to.be.false;
+    });
+  });
+
+  it('Requires the same model class', () => {
+    class OtherOrder extends Order {}
+
+    expect(new Order(values).equals(new OtherOrder(values))).to.be.false;
+    expect(new Order(values).equals(new Order(values).asObject())).to.be.false;
+    expect(new Order(values).equals(null)).to.be.false;
+  });
+
+  it('Ignores readOnly props unless asked', () => {
+    const order = new Order(values);
+    const other = new Order(values);
+    other.describedAt = 'yesterday';
+
+    expect(order.equals(other)).to.be.true;
+    expect(order.equals(other, { includeReadOnly: true })).to.be.false;
+  });
+
+  it('Handles tuples with boolean schemas', () => {
+    class Pair extends TypedModel {
+      static props = {
+        'pair': {type: 'array', items: [{type: 'string', format: 'date'}], additionalItems: true},
+      };
+    }
+
+    const a = new Pair({ pair: ['2020-10-18', { b: 1, a: 2 }] });
+    const b = new Pair({ pair: ['2020-10-18', { a: 2, b: 1 }] });
+
+    expect(a.equals(b)).to.be.true;
+    expect(a.clone().pair).to.eql(a.pair);
+  });
+});
+
+
+describe('hash()', () => {
+  it('Is the same for equal models', () => {
+    const order = new Order(values);
+    const reordered = new Order({
+      meta: values.meta,
+      lines: values.lines,
+      prices: values.prices,
+      createdAt: values.createdAt,
+      id: 1,
+    });
+
+    expect(order.hash()).to.match(/^[0-9a-f]{8}$/);
+    expect(order.hash()).to.equal(reordered.hash());
+    expect(order.hash()).to.equal(order.clone().hash());
+  });
+
+  it('Changes with the values', () => {
+    const order = new Order(values);
+
+    expect(order.hash()).to.not.equal(new Order({ ...values, id: 2 }).hash());
+    expect(order.hash()).to.not.equal(order.hash({ includeReadOnly: true }));
+  });
+});
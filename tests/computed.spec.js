@@ -0,0 +1,152 @@
+const { expect } = require('chai');
+const { TypedModel } = require('../lib/TypedModel');
+const { ValidationError } = require('../lib/errors');
+
+
+let computeCount = 0;
+
+
+class Address extends TypedModel {
+  static props = {
+    'city': {type: 'string'},
+    'street': {type: 'string'},
+    'label': {
+      type: 'string',
+      compute: a => `${a.street}, ${a.city}`,
+      dependsOn: ['city', 'street'],
+    },
+  };
+}
+
+
+class Person extends TypedModel {
+  static props = {
+    'first': {type: 'string'},
+    'last': {type: 'string'},
+    'address': {type: Address},
+    'fullName': {
+      type: 'string',
+      compute: p => {
+        computeCount += 1;
+        return `${p.first} ${p.last}`;
+      },
+      dependsOn: ['first', 'last'],
+    },
+    'city': {
+      type: 'string',
+      compute: p => p.address && p.address.city,
+      dependsOn: ['address.city'],
+    },
+    'now': {type: 'integer', compute: () => computeCount},
+  };
+}
+
+
+class Employee extends Person {
+  static options = { includeComputed: false };
+  static props = {
+    'fullName': {type: 'string', compute: p => `${p.last}, ${p.first}`},
+  };
+}
+
+
+describe('computed props', () => {
+  beforeEach(() => {
+    computeCount = 0;
+  });
+
+  it('Defines the getters', () => {
+    const person = new Person({
+      first: 'John',
+      last: 'Doe',
+      address: { city: 'Warsaw', street: 'Main' },
+    });
+
+    expect(person.fullName).to.equal('John Doe');
+    expect(person.city).to.equal('Warsaw');
+    expect(person.address.label).to.equal('Main, Warsaw');
+    expect(Object.keys(person)).to.eql(['first', 'last', 'address']);
+  });
+
+  it('Caches the values until a dependency changes', () => {
+    const person = new Person({ first: 'John', last: 'Doe', address: { city: 'Warsaw' } });
+
+    expect(person.fullName).to.equal('John Doe');
+    expect(person.fullName).to.equal('John Doe');
+    expect(computeCount).to.equal(1);
+
+    person.first = 'Jack';
+    expect(person.fullName).to.equal('Jack Doe');
+    expect(computeCount).to.equal(2);
+
+    person.address.city = 'Cracow';
+    expect(person.city).to.equal('Cracow');
+    person.address = undefined;
+    expect(person.city).to.be.undefined;
+  });
+
+  it('Computes props without dependencies on every access', () => {
+    const person = new Person({ first: 'John', last: 'Doe' });
+
+    expect(person.now).to.equal(0);
+    expect(person.fullName).to.equal('John Doe');
+    expect(person.now).to.equal(1);
+  });
+
+  it('Keeps a separate cache for every instance', () => {
+    const john = new Person({ first: 'John', last: 'Doe' });
+    const jane = new Person({ first: 'Jane', last: 'Doe' });
+
+    expect(john.fullName).to.equal('John Doe');
+    expect(jane.fullName).to.equal('Jane Doe');
+  });
+
+  it('Marks computed props as readOnly in the schema', () => {
+    const schema = Person.getSchema();
+
+    expect(schema.properties.fullName).to.eql({ type: 'string', readOnly: true });
+    expect(schema.properties.address.properties.label).to.eql({ type: 'string', readOnly: true });
+    expect(Person.allProps.fullName.readOnly).to.be.true;
+  });
+
+  it('Ignores computed props given to the constructor', () => {
+    const person = new Person({ first: 'John', last: 'Doe', fullName: 'Other' });
+
+    expect(person.fullName).to.equal('John Doe');
+    expect(person.asObject().fullName).to.equal('John Doe');
+  });
+
+  it('Includes computed props in asObject() by default', () => {
+    const person = new Person({ first: 'John', last: 'Doe', address: { city: 'Warsaw' } });
+
+    expect(person.asObject()).to.eql({
+      first: 'John',
+      last: 'Doe',
+      address: { city: 'Warsaw', street: undefined, label: 'undefined, Warsaw' },
+      fullName: 'John Doe',
+      city: 'Warsaw',
+      now: 1,
+    });
+    expect(person.asObject({ includeComputed: false })).to.eql({
+      first: 'John',
+      last: 'Doe',
+      address: { city: 'Warsaw', street: undefined },
+    });
+  });
+
+  it('Uses the includeComputed model option', () => {
+    const employee = new Employee({ first: 'John', last: 'Doe' });
+
+    expect(employee.fullName).to.equal('Doe, John');
+    expect(employee.fullName).to.equal('Doe, John');
+    expect(employee.asObject()).to.eql({ first: 'John', last: 'Doe', address: undefined });
+    expect(employee.asObject({ includeComputed: true }).fullName).to.equal('Doe, John');
+  });
+
+  it('Rejects assignments with checkAssignments', () => {
+    const person = new Person({ first: 'John' }, { checkAssignments: true });
+
+    expect(() => { person.fullName = 'Jack'; }).to.throw(ValidationError);
+    expect(person.fullName).to.equal('John undefined');
+  });
+});
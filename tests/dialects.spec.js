@@ -0,0 +1,187 @@
+const { expect } = require('chai');
+const { TypedModel } = require('../lib/TypedModel');
+const { toDialect, getDialect } = require('../lib/dialects');
+
+
+class Address extends TypedModel {
+  static props = {
+    'city': {type: 'string'},
+    'zip': {type: ['string', 'null']},
+  };
+}
+
+
+class Person extends TypedModel {
+  static props = {
+    'name': {type: 'string', default: () => 'John'},
+    'nickname': {type: 'string', nullable: true},
+    'addresses': {type: 'array', items: {type: Address}},
+    'home': {type: Address, description: 'Home address'},
+    'fullName': {type: 'string', readOnly: true},
+  };
+}
+
+
+describe('getDialect()', () => {
+  it('Raises for unknown dialects', () => {
+    expect(() => getDialect('draft-03')).to.throw('Unknown schema dialect: draft-03');
+  });
+});
+
+
+describe('getSchema({ dialect })', () => {
+  it('Sets $schema for the dialect', () => {
+    expect(Address.getSchema({ dialect: 'draft-07' }).$schema)
+      .to.equal('http://json-schema.org/draft-07/schema#');
+    expect(Address.getSchema({ dialect: '2019-09' }).$schema)
+      .to.equal('https://json-schema.org/draft/2019-09/schema');
+    expect(Address.getSchema({ dialect: '2020-12' }).$schema)
+      .to.equal('https://json-schema.org/draft/2020-12/schema');
+  });
+
+  it('Strips $schema and $id for OpenAPI', () => {
+    const schema = Address.getSchema({ dialect: 'openapi-3.0' });
+
+    expect(schema).to.not.have.property('$schema');
+    expect(schema).to.not.have.property('$id');
+  });
+
+  it('Keeps the meta schema only at the root', () => {
+    const schema = Person.getSchema({ dialect: '2020-12' });
+    const openApi = Person.getSchema({ dialect: 'openapi-3.0' });
+
+    expect(JSON.stringify(schema).match(/\$schema/g)).to.have.length(1);
+    expect(schema.properties.home.$id).to.equal('Address');
+    expect(openApi.properties.addresses.items).to.not.have.any.keys('$schema', '$id');
+    expect(JSON.stringify(openApi)).to.not.match(/\$schema|\$id/);
+  });
+
+  it('Strips function defaults', () => {
+    const schema = Person.getSchema({ dialect: '2020-12' });
+
+    expect(schema.properties.name).to.eql({type: 'string'});
+    expect(schema.properties.fullName).to.eql({type: 'string', readOnly: true});
+  });
+
+  it('Converts nested models in arrays', () => {
+    const schema = Person.getSchema({ dialect: '2020-12' });
+
+    expect(schema.properties.addresses.items).to.eql({
+      $id: 'Address',
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        'city': {type: 'string'},
+        'zip': {type: ['string', 'null']},
+      },
+    });
+  });
+
+  it('Uses the dialect definitions keyword', () => {
+    const draft7 = Person.getSchema({ dialect: 'draft-07', defs: true });
+    const draft2020 = Person.getSchema({ dialect: '2020-12', defs: true });
+
+    expect(draft7.definitions).to.have.key('Address');
+    expect(draft7.properties.addresses.items).to.eql({$ref: '#/definitions/Address'});
+    expect(draft2020.$defs).to.have.key('Address');
+    expect(draft2020.properties.addresses.items).to.eql({$ref: '#/$defs/Address'});
+  });
+
+  it('Dialect decides the definitions keyword', () => {
+    const schema = Person.getSchema({ dialect: '2020-12', defs: 'definitions' });
+
+    expect(schema.$defs).to.have.key('Address');
+    expect(schema.properties.addresses.items).to.eql({$ref: '#/$defs/Address'});
+    expect(schema).to.not.have.property('definitions');
+  });
+
+  it('Wraps $ref with siblings in allOf for older drafts', () => {
+    const draft7 = Person.getSchema({ dialect: 'draft-07', defs: true });
+    const draft2020 = Person.getSchema({ dialect: '2020-12', defs: true });
+
+    expect(draft7.properties.home).to.eql({
+      allOf: [{$ref: '#/definitions/Address'}],
+      description: 'Home address',
+    });
+    expect(draft2020.properties.home).to.eql({
+      $ref: '#/$defs/Address',
+      description: 'Home address',
+    });
+  });
+
+  it('Uses nullable for OpenAPI and type lists for JSON schema', () => {
+    const openapi = Person.getSchema({ dialect: 'openapi-3.0', defs: true });
+    const jsonSchema = Person.getSchema({ dialect: '2020-12', defs: true });
+
+    expect(openapi.properties.nickname).to.eql({type: 'string', nullable: true});
+    expect(openapi.definitions.Address.properties.zip).to.eql({type: 'string', nullable: true});
+    expect(jsonSchema.properties.nickname).to.eql({type: ['string', 'null']});
+    expect(jsonSchema.$defs.Address.properties.zip).to.eql({type: ['string', 'null']});
+  });
+});
+
+
+describe('toDialect()', () => {
+  const tuple = {
+    type: 'array',
+    items: [{type: 'number'}, {type: 'number'}],
+    additionalItems: {type: 'string'},
+  };
+  const prefixTuple = {
+    type: 'array',
+    prefixItems: [{type: 'number'}, {type: 'number'}],
+    items: false,
+  };
+
+  it('Converts tuples to prefixItems for 2020-12', () => {
+    expect(toDialect(tuple, '2020-12')).to.eql({
+      $schema: 'https://json-schema.org/draft/2020-12/schema',
+      type: 'array',
+      prefixItems: [{type: 'number'}, {type: 'number'}],
+      items: {type: 'string'},
+    });
+  });
+
+  it('Converts prefixItems to items for older drafts', () => {
+    expect(toDialect(prefixTuple, 'draft-07')).to.eql({
+      $schema: 'http://json-schema.org/draft-07/schema#',
+      type: 'array',
+      items: [{type: 'number'}, {type: 'number'}],
+      additionalItems: false,
+    });
+    expect(toDialect({ prefixItems: [{type: 'number'}] }, '2019-09')).to.eql({
+      $schema: 'https://json-schema.org/draft/2019-09/schema',
+      items: [{type: 'number'}],
+    });
+  });
+
+  it('Falls back to anyOf items for OpenAPI', () => {
+    expect(toDialect(tuple, 'openapi-3.0')).to.eql({
+      type: 'array',
+      items: {anyOf: [{type: 'number'}, {type: 'number'}, {type: 'string'}]},
+    });
+    expect(toDialect({ type: 'array', prefixItems: [{type: 'number'}] }, 'openapi-3.0')).to.eql({
+      type: 'array',
+      items: {type: 'number'},
+    });
+  });
+
+  it('Converts multiple nullable types to anyOf for OpenAPI', () => {
+    expect(toDialect({ type: ['string', 'number', 'null'] }, 'openapi-3.0')).to.eql({
+      anyOf: [{type: 'string'}, {type: 'number'}],
+      nullable: true,
+    });
+  });
+
+  it('Converts nullable to type lists', () => {
+    expect(toDialect({ type: ['string', 'null'], nullable: true }, '2020-12').type)
+      .to.eql(['string', 'null']);
+    expect(toDialect({ type: 'string', nullable: false }, '2020-12')).to.not.have.property('nullable');
+    expect(toDialect({ nullable: true }, '2020-12')).to.not.have.property('nullable');
+  });
+
+  it('Converts const to enum for OpenAPI', () => {
+    expect(toDialect({ const: 'card' }, 'openapi-3.0')).to.eql({ enum: ['card'] });
+    expect(toDialect({ const: 'card' }, '2020-12').const).to.equal('card');
+  });
+});
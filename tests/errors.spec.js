@@ -0,0 +1,91 @@
+const { expect } = require('chai');
+const { ValidationError, makeIssue, formatPath, toJsonPointer } = require('../lib/errors');
+
+
+describe('formatPath()', () => {
+  it('Formats props and array indexes', () => {
+    expect(formatPath(['items', 2, 'name'])).to.equal('$.items[2].name');
+  });
+
+  it('Returns root for empty path', () => {
+    expect(formatPath([])).to.equal('$');
+  });
+});
+
+
+describe('toJsonPointer()', () => {
+  it('Converts path to JSON pointer', () => {
+    expect(toJsonPointer(['items', 2, 'name'])).to.equal('/items/2/name');
+  });
+
+  it('Escapes special characters', () => {
+    expect(toJsonPointer(['a/b', 'c~d'])).to.equal('/a~1b/c~0d');
+  });
+
+  it('Returns empty string for root', () => {
+    expect(toJsonPointer([])).to.equal('');
+  });
+});
+
+
+describe('ValidationError', () => {
+  it('Is an Error', () => {
+    const error = new ValidationError([makeIssue(['name'], 'type', 'Expected string')]);
+
+    expect(error).to.be.an.instanceof(Error);
+    expect(error.name).to.equal('ValidationError');
+    expect(error.message).to.equal('$.name: Expected string');
+  });
+
+  it('Lists all issues in the message', () => {
+    const error = new ValidationError([
+      makeIssue(['name'], 'type', 'Expected string'),
+      makeIssue(['tags', 1], 'type', 'Expected number'),
+    ]);
+
+    expect(error.message).to.equal([
+      '2 validation errors',
+      '$.name: Expected string',
+      '$.tags[1]: Expected number',
+    ].join('\n  '));
+  });
+
+  it('Exposes traceback of the first issue', () => {
+    const error = new ValidationError([makeIssue(['items', 3], 'type', 'Nope')]);
+
+    expect(error.traceback).to.equal('$.items[3]');
+    expect(new ValidationError([]).traceback).to.equal('$');
+  });
+
+  it('Can wrap other errors', () => {
+    const cause = new Error('Invalid date');
+    const error = ValidationError.fromError(['createdAt'], cause, 'format');
+
+    expect(error.cause).to.equal(cause);
+    expect(error.issues).to.eql([{
+      path: ['createdAt'],
+      pointer: '/createdAt',
+      keyword: 'format',
+      expected: undefined,
+      actual: undefined,
+      message: 'Invalid date',
+    }]);
+  });
+
+  it('Can prefix issue paths', () => {
+    const error = new ValidationError([
+      makeIssue(['name'], 'type', 'Expected string', { expected: 'string', actual: 1 }),
+    ]);
+    const prefixed = error.prefixed(['people', 0]);
+
+    expect(prefixed).to.be.an.instanceof(ValidationError);
+    expect(prefixed.issues).to.eql([{
+      path: ['people', 0, 'name'],
+      pointer: '/people/0/name',
+      keyword: 'type',
+      expected: 'string',
+      actual: 1,
+      message: 'Expected string',
+    }]);
+  });
+});
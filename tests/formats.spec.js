@@ -0,0 +1,141 @@
+const { expect } = require('chai');
+const { TypedModel } = require('../lib/TypedModel');
+const { ValidationError } = require('../lib/errors');
+const { FormatManager } = require('../lib/util');
+const { STRING_FORMATS, registerStringFormats } = require('../lib/formats');
+const { generateTypings } = require('../lib/typings');
+
+
+class Server extends TypedModel {
+  static props = {
+    'id': {type: 'string', format: 'uuid'},
+    'admin': {type: 'string', format: 'email'},
+    'homepage': {type: 'string', format: 'uri'},
+    'host': {type: 'string', format: 'hostname'},
+    'ips': {type: 'array', items: {type: 'string', format: 'ipv4'}},
+    'route': {type: 'string', format: 'regex'},
+  };
+}
+
+
+describe('string formats', () => {
+  const check = (format, valid, invalid) => {
+    valid.forEach(str => expect(STRING_FORMATS[format](str), str).to.be.true);
+    invalid.forEach(str => expect(STRING_FORMATS[format](str), str).to.be.false);
+  };
+
+  it('Validates uuid', () => {
+    check('uuid', ['123e4567-e89b-12d3-a456-426614174000', 'A987FBC9-4BED-3078-CF07-9141BA07C9F3'], [
+      '123e4567-e89b-12d3-a456', '123e4567e89b12d3a456426614174000', 'g23e4567-e89b-12d3-a456-426614174000',
+    ]);
+  });
+
+  it('Validates email and idn-email', () => {
+    check('email', ['john@example.com', 'john.doe+tag@mail.example.co.uk', 'a@localhost'], [
+      'john', '@example.com', 'john@', 'john doe@example.com', 'john..doe@example.com', 'john@-example.com',
+    ]);
+    check('idn-email', ['józef@przykład.pl', 'john@example.com'], ['józef@', 'jó zef@przykład.pl']);
+  });
+
+  it('Validates uri and uri-reference', () => {
+    check('uri', ['https://example.com/a?b=c#d', 'mailto:john@example.com', 'urn:isbn:0451450523'], [
+      '/relative/path', 'http://exa mple.com', 'http://example.com/%zz', '1http://example.com',
+    ]);
+    check('uri-reference', ['/relative/path', '#fragment', '', 'https://example.com'], [
+      'with space', 'a<b',
+    ]);
+  });
+
+  it('Validates ipv4 and ipv6', () => {
+    check('ipv4', ['127.0.0.1', '255.255.255.255', '0.0.0.0'], [
+      '256.0.0.1', '1.2.3', '01.2.3.4', '1.2.3.4.5', 'a.b.c.d',
+    ]);
+    check('ipv6', ['::', '::1', '2001:db8::8a2e:370:7334', '1:2:3:4:5:6:7:8', '::ffff:192.168.0.1', 'fe80::'], [
+      '1:2:3:4:5:6:7', '1:2:3:4:5:6:7:8:9', '1::2::3', '12345::', ':1::', '1.2.3.4::', '::ffff:300.1.1.1', 'g::',
+    ]);
+  });
+
+  it('Validates hostname, regex and json-pointer', () => {
+    check('hostname', ['example.com', 'localhost', 'my-host.example.com.', 'a1'], [
+      '', '-example.com', 'example-.com', 'exa_mple.com', 'a..b', `${'a'.repeat(64)}.com`,
+    ]);
+    check('regex', ['^[a-z]+$', '\\d{2}'], ['[a-z', '(unclosed']);
+    check('json-pointer', ['', '/a/b', '/a~0b/c~1d', '/'], ['a/b', '/a~2', '/~']);
+  });
+});
+
+
+describe('FormatManager validation', () => {
+  it('Rejects malformed strings when building models', () => {
+    expect(new Server({ id: '123e4567-e89b-12d3-a456-426614174000', ips: ['127.0.0.1'] }).ips)
+      .to.eql(['127.0.0.1']);
+    expect(() => new Server({ admin: 'john' }))
+      .to.throw(ValidationError, '$.admin: Must be a valid email');
+
+    const build = () => new Server(
+      { id: 'x', homepage: 'example.com', host: 'exa mple', ips: ['1.2.3.4', '1.2.3.999'] },
+      { collectErrors: true },
+    );
+    expect(build).to.throw(ValidationError).with.property('issues').that.satisfies(issues => (
+      issues.map(issue => issue.pointer).join(' ') === '/id /homepage /host /ips/1'
+      && issues.every(issue => issue.keyword === 'format')
+    ));
+  });
+
+  it('Reports malformed strings in validate()', () => {
+    const issues = Server.validate({ id: 'x', admin: 'john@example.com', route: '[' });
+
+    expect(issues.map(issue => [issue.pointer, issue.keyword, issue.message])).to.eql([
+      ['/id', 'format', 'Must be a valid uuid'],
+      ['/route', 'format', 'Must be a valid regex'],
+    ]);
+    expect(Server.validate({ host: 'example.com' })).to.be.null;
+  });
+
+  it('Keeps the validated strings as they are', () => {
+    const server = new Server({ homepage: 'https://example.com', route: '^a$' });
+
+    expect(server.homepage).to.equal('https://example.com');
+    expect(server.asObject().route).to.equal('^a$');
+    expect(generateTypings([Server])).to.include('  homepage?: string;');
+  });
+
+  it('Accepts formats with a validator only', () => {
+    const formats = new FormatManager();
+    formats.register('even', { validate: str => str.length % 2 === 0 });
+
+    expect(formats.isValid('even', 'ab')).to.be.true;
+    expect(formats.isValid('even', 'abc')).to.be.false;
+    expect(formats.isValid('unknown', 'abc')).to.be.true;
+    expect(formats.findLoader('even')).to.be.undefined;
+    expect(formats.loadValue('even', 'ab')).to.equal('ab');
+    expect(() => formats.loadValue('even', 'a')).to.throw('Must be a valid even');
+  });
+
+  describe('rich formats', () => {
+    beforeEach(() => registerStringFormats(TypedModel.formats, { rich: ['uri', 'regex'] }));
+    afterEach(() => registerStringFormats(TypedModel.formats));
+
+    it('Loads the strings into objects', () => {
+      const server = new Server({ homepage: 'https://example.com/a', route: '^[a-z]+$' });
+
+      expect(server.homepage).to.be.instanceOf(URL);
+      expect(server.homepage.pathname).to.equal('/a');
+      expect(server.route.test('abc')).to.be.true;
+      expect(server.asObject()).to.include({ homepage: 'https://example.com/a', route: '^[a-z]+$' });
+      expect(server.validate()).to.be.null;
+    });
+
+    it('Validates the strings before loading them', () => {
+      expect(() => new Server({ homepage: 'example.com' }))
+        .to.throw(ValidationError, '$.homepage: Must be a valid uri');
+      expect(new Server({ homepage: new URL('https://example.com') }).homepage.host)
+        .to.equal('example.com');
+    });
+
+    it('Declares the loaded types', () => {
+      expect(generateTypings([Server])).to.include('  homepage?: URL;');
+      expect(generateTypings([Server])).to.include('  homepage?: string | URL;');
+    });
+  });
+});
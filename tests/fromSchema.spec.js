@@ -0,0 +1,250 @@
+const { expect } = require('chai');
+const { TypedModel } = require('../lib/TypedModel');
+const { modelsFromDocument } = require('../lib/fromSchema');
+
+
+const orderSchema = {
+  $schema: 'https://json-schema.org/draft/2020-12/schema',
+  title: 'Order',
+  type: 'object',
+  description: 'Customer order',
+  required: ['id'],
+  properties: {
+    'id': {type: 'integer'},
+    'createdAt': {type: 'string', format: 'date-time'},
+    'status': {type: 'string', enum: ['new', 'paid'], default: 'new'},
+    'customer': {$ref: '#/$defs/Customer'},
+    'shipping': {
+      type: 'object',
+      properties: {
+        'street': {type: 'string'},
+        'city': {type: 'string'},
+      },
+    },
+    'lines': {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          'product': {type: 'string'},
+          'quantity': {type: 'integer', default: 1},
+        },
+      },
+    },
+    'email': {$ref: '#/$defs/Email'},
+    'metadata': {type: 'object'},
+    'related': {type: 'array', items: {$ref: '#'}},
+  },
+  $defs: {
+    Email: {type: 'string', pattern: '@'},
+    Customer: {
+      type: 'object',
+      properties: {
+        'name': {type: 'string'},
+        'orders': {type: 'array', items: {$ref: '#'}},
+        'referrer': {$ref: '#/$defs/Customer'},
+        'external': {$ref: 'https://example.com/customer.json'},
+      },
+    },
+  },
+};
+
+
+describe('TypedModel.fromSchema()', () => {
+  const Order = TypedModel.fromSchema(orderSchema);
+
+  it('Creates a model class', () => {
+    expect(Order.name).to.equal('Order');
+    expect(Object.getPrototypeOf(Order)).to.equal(TypedModel);
+    expect(Order.allProps.id).to.eql({type: 'integer'});
+  });
+
+  it('Keeps the extra schema keywords', () => {
+    const schema = Order.getSchema();
+
+    expect(schema.$id).to.equal('Order');
+    expect(schema.description).to.equal('Customer order');
+    expect(schema.required).to.eql(['id']);
+    expect(schema).to.not.have.property('$defs');
+  });
+
+  it('Creates nested models for nested object schemas', () => {
+    const ShippingCls = Order.allProps.shipping.type;
+    const LineCls = Order.allProps.lines.items.type;
+
+    expect(ShippingCls.name).to.equal('OrderShipping');
+    expect(LineCls.name).to.equal('OrderLines');
+    expect(Order.allProps.metadata).to.eql({type: 'object'});
+  });
+
+  it('Links $refs to model classes', () => {
+    const CustomerCls = Order.allProps.customer.type;
+
+    expect(CustomerCls.name).to.equal('Customer');
+    expect(CustomerCls.allProps.orders.items).to.eql({type: Order});
+    expect(CustomerCls.allProps.referrer).to.eql({$ref: '#'});
+    expect(CustomerCls.allProps.external).to.eql({$ref: 'https://example.com/customer.json'});
+    expect(Order.allProps.related.items).to.eql({$ref: '#'});
+    expect(Order.allProps.email).to.eql({type: 'string', pattern: '@'});
+  });
+
+  it('Behaves like a hand written model', () => {
+    const order = new Order({
+      id: 1,
+      createdAt: '2020-01-01T10:00:00.000Z',
+      customer: { name: 'John', orders: [{ id: 2 }] },
+      shipping: { street: 'Main St', city: 'Springfield' },
+      lines: [{ product: 'Pizza' }],
+    });
+
+    expect(order).to.be.an.instanceof(Order);
+    expect(order.createdAt).to.be.an.instanceof(Date);
+    expect(order.status).to.equal('new');
+    expect(order.customer.orders[0]).to.be.an.instanceof(Order);
+    expect(order.shipping.city).to.equal('Springfield');
+    expect(order.lines[0].quantity).to.equal(1);
+    expect(Order.validate({})[0].keyword).to.equal('required');
+    expect(order.asObject().createdAt).to.equal('2020-01-01T10:00:00.000Z');
+  });
+
+  it('Allows unknown props unless the schema forbids them', () => {
+    const Point = TypedModel.fromSchema({
+      title: 'Point',
+      type: 'object',
+      properties: { 'x': {type: 'number'} },
+    });
+    const Closed = TypedModel.fromSchema({
+      title: 'Closed',
+      type: 'object',
+      properties: { 'x': {type: 'number'} },
+      additionalProperties: false,
+    });
+
+    expect(new Point({ x: 1, label: 'A' }, { strict: true }).x).to.equal(1);
+    expect(Point.getSchema().additionalProperties).to.be.true;
+    expect(Point.validate({ x: 1, label: 'A' })).to.be.null;
+    expect(() => new Closed({ x: 1, label: 'A' }, { strict: true })).to.throw('$.label');
+    expect(Closed.getSchema().additionalProperties).to.be.false;
+  });
+
+  it('References models in a cycle by $id when inlining', () => {
+    const schema = Order.getSchema();
+    const customer = schema.properties.customer;
+
+    expect(customer.$id).to.equal('Customer');
+    expect(customer.properties.orders.items).to.eql({$ref: 'Order'});
+    expect(customer.properties.referrer).to.eql({$ref: '#'});
+  });
+
+  it('Can export the schema back with $defs', () => {
+    const schema = Order.getSchema({ defs: true });
+
+    expect(schema.properties.customer).to.eql({$ref: '#/$defs/Customer'});
+    expect(schema.$defs.Customer.properties.orders.items).to.eql({$ref: '#'});
+  });
+
+  it('Supports custom name and base class', () => {
+    class Base extends TypedModel {
+      static props = {
+        'version': {type: 'integer', default: 1},
+      };
+    }
+
+    const Item = TypedModel.fromSchema({
+      type: 'object',
+      properties: { 'the name': {type: 'string'} },
+    }, { name: 'shop item', base: Base });
+
+    expect(Item.name).to.equal('ShopItem');
+    expect(new Item().version).to.equal(1);
+    expect(Base.fromSchema({ type: 'object', properties: {} }).name).to.equal('Model');
+    expect(Object.getPrototypeOf(Base.fromSchema({ properties: {} }))).to.equal(Base);
+  });
+
+  it('Names nested variants uniquely', () => {
+    const Model = TypedModel.fromSchema({
+      title: 'Shape',
+      type: 'object',
+      properties: {
+        '2d': {
+          oneOf: [
+            {type: 'object', properties: { 'r': {type: 'number'} }},
+            {type: 'object', properties: { 'a': {type: 'number'} }},
+          ],
+        },
+      },
+    });
+
+    expect(Model.allProps['2d'].oneOf.map(v => v.type.name)).to.eql(['Shape2d', 'Shape2d2']);
+    expect(TypedModel.fromSchema({ title: '1st' }).name).to.equal('_1st');
+  });
+
+  it('Resolves escaped pointers', () => {
+    const Model = TypedModel.fromSchema({
+      type: 'object',
+      properties: {
+        'a': {$ref: '#/$defs/with~1slash'},
+      },
+      $defs: {
+        'with/slash': {type: 'number'},
+      },
+    });
+
+    expect(Model.allProps.a).to.eql({type: 'number'});
+  });
+});
+
+
+describe('Model level keywords', () => {
+  const Team = TypedModel.fromSchema({
+    title: 'Team',
+    type: 'object',
+    properties: { 'name': {type: 'string'} },
+    additionalProperties: {$ref: '#/$defs/Person'},
+    $defs: {
+      Person: { type: 'object', properties: { 'name': {type: 'string'} } },
+    },
+  });
+
+  it('Converts the references used outside of properties', () => {
+    const team = new Team({ name: 'A', john: { name: 'John' } });
+
+    expect(Team.schema.additionalProperties.type.name).to.equal('Person');
+    expect(team.john).to.be.instanceOf(Team.schema.additionalProperties.type);
+    expect(Team.validate({ name: 'A', john: { name: 1 } })[0].pointer).to.equal('/john/name');
+    expect(Team.getSchema().additionalProperties.$id).to.equal('Person');
+  });
+});
+
+
+describe('modelsFromDocument()', () => {
+  it('Creates models for the root schema and all definitions', () => {
+    const models = modelsFromDocument(orderSchema, { base: TypedModel });
+
+    expect(models.map(m => m.name)).to.eql(['Order', 'Customer', 'OrderShipping', 'OrderLines']);
+    expect(models[0].allProps.customer.type).to.equal(models[1]);
+  });
+
+  it('Creates models for OpenAPI components', () => {
+    const models = modelsFromDocument({
+      openapi: '3.0.3',
+      components: {
+        schemas: {
+          Name: {type: 'string'},
+          Person: {type: 'object', properties: { 'name': {$ref: '#/components/schemas/Name'} }},
+          Pet: {
+            type: 'object',
+            properties: { 'owner': {type: 'object', title: 'Person', properties: {}} },
+          },
+        },
+      },
+    }, { base: TypedModel });
+
+    expect(models.map(m => m.name)).to.eql(['Person', 'Pet', 'Person2']);
+    expect(models[0].allProps.name).to.eql({type: 'string'});
+  });
+
+  it('Handles documents without definitions', () => {
+    expect(modelsFromDocument({ openapi: '3.0.3', components: {} }, { base: TypedModel })).to.eql([]);
+  });
+});
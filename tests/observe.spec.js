@@ -0,0 +1,328 @@
+const { expect } = require('chai');
+const { TypedModel } = require('../lib/TypedModel');
+const { ValidationError } = require('../lib/errors');
+
+
+class Person extends TypedModel {
+  static props = {
+    'name': {type: 'string'},
+    'age': {type: 'integer'},
+    'tags': {type: 'array', items: {type: 'string'}},
+    'meta': {type: 'object'},
+    'greeting': {type: 'string', readOnly: true},
+  };
+
+  get greeting() {
+    return `Hello ${this.name}`;
+  }
+}
+
+
+class Table extends TypedModel {
+  static props = {
+    'name': {type: 'string'},
+    'people': {type: 'array', items: {type: Person}},
+    'owner': {type: Person},
+    'grid': {type: 'array', items: {type: 'array', items: {type: 'integer'}}},
+  };
+}
+
+
+class Room extends TypedModel {
+  static props = {
+    'table': {type: Table},
+  };
+}
+
+
+function record(subscribe) {
+  const events = [];
+  subscribe(event => events.push(event));
+  return events;
+}
+
+
+describe('observers', () => {
+  it('Reports prop assignments', () => {
+    const person = new Person({ name: 'John', age: 30 });
+    const events = record(cb => person.on('change', cb));
+
+    person.name = 'Jack';
+
+    expect(person.name).to.equal('Jack');
+    expect(person.greeting).to.equal('Hello Jack');
+    expect(events).to.eql([{
+      path: ['name'],
+      old: 'John',
+      new: 'Jack',
+      changes: [{ path: ['name'], old: 'John', new: 'Jack' }],
+    }]);
+  });
+
+  it('Keeps the model values the same', () => {
+    const person = new Person({ name: 'John', tags: ['a'], meta: { x: 1 } });
+    const before = person.asObject();
+    person.on('change', () => {});
+
+    expect(person.asObject()).to.eql(before);
+    expect(Object.keys(person)).to.eql(['name', 'age', 'tags', 'meta']);
+    expect(Array.isArray(person.tags)).to.be.true;
+    expect(person.tags).to.equal(person.tags);
+    expect(person.clone().equals(person)).to.be.true;
+  });
+
+  it('Reports changes inside nested models', () => {
+    const room = new Room({
+      table: {
+        people: [{ name: 'John', age: 30 }, { name: 'Jane', age: 25 }],
+        owner: { name: 'Bob' },
+      },
+    });
+    const events = record(cb => room.on('change', cb));
+
+    room.table.owner.name = 'Alice';
+    room.table.people[1].age = 26;
+
+    expect(events.map(e => [e.path, e.old, e.new])).to.eql([
+      [['table', 'owner', 'name'], 'Bob', 'Alice'],
+      [['table', 'people', 1, 'age'], 25, 26],
+    ]);
+  });
+
+  it('Reports array operations as a single change', () => {
+    const room = new Room({ table: { people: [{ name: 'John' }, { name: 'Jane' }] } });
+    const events = record(cb => room.on('change', cb));
+    const { people } = room.table;
+
+    people.push(new Person({ name: 'Ann' }));
+    expect(events).to.have.length(1);
+    expect(events[0].path).to.eql(['table', 'people']);
+    expect(events[0].old.map(p => p.name)).to.eql(['John', 'Jane']);
+    expect(events[0].new.map(p => p.name)).to.eql(['John', 'Jane', 'Ann']);
+
+    people.splice(0, 1);
+    people.length = 1;
+    expect(events.map(e => e.path)).to.eql([
+      ['table', 'people'], ['table', 'people'], ['table', 'people'],
+    ]);
+    expect(people.map(p => p.name)).to.eql(['Jane']);
+  });
+
+  it('Reports changes of array items and object keys', () => {
+    const room = new Room({
+      table: {
+        owner: { name: 'Bob', tags: ['a'] },
+        grid: [[1, 2], [3, 4]],
+      },
+    });
+    const events = record(cb => room.on('change', cb));
+
+    room.table.grid[1][0] = 30;
+    room.table.owner.tags[0] = 'b';
+    room.table.owner.meta = { x: 1 };
+    room.table.owner.meta.y = 2;
+    delete room.table.owner.meta.x;
+
+    // The new values are the live ones, the last change removed x.
+    expect(events.map(e => [e.path, e.old, e.new])).to.eql([
+      [['table', 'grid', 1, 0], 3, 30],
+      [['table', 'owner', 'tags', 0], 'a', 'b'],
+      [['table', 'owner', 'meta'], undefined, { y: 2 }],
+      [['table', 'owner', 'meta', 'y'], undefined, 2],
+      [['table', 'owner', 'meta', 'x'], 1, undefined],
+    ]);
+  });
+
+  it('Follows items moved within arrays', () => {
+    const room = new Room({ table: { people: [{ name: 'John' }, { name: 'Jane', age: 25 }] } });
+    const events = record(cb => room.on('change', cb));
+    const jane = room.table.people[1];
+
+    room.table.people.reverse();
+    jane.age = 26;
+    room.table.people.unshift(new Person({ name: 'Ann' }));
+    jane.age = 27;
+
+    expect(events.slice(1).map(e => e.path)).to.eql([
+      ['table', 'people', 0, 'age'],
+      ['table', 'people'],
+      ['table', 'people', 1, 'age'],
+    ]);
+  });
+
+  it('Follows values moved to other props', () => {
+    const room = new Room({
+      table: {
+        people: [{ name: 'John' }],
+        owner: { name: 'Bob', tags: ['a'] },
+      },
+    });
+    const events = record(cb => room.on('change', cb));
+    const { tags } = room.table.owner;
+
+    room.table.people[0].tags = tags;
+    room.table.owner.tags = [];
+    tags.push('b');
+
+    expect(events.map(e => e.path)).to.eql([
+      ['table', 'people', 0, 'tags'],
+      ['table', 'owner', 'tags'],
+      ['table', 'people', 0, 'tags'],
+    ]);
+  });
+
+  it('Stops reporting values removed from the model', () => {
+    const room = new Room({ table: { owner: { name: 'Bob' }, grid: [[1, 2]] } });
+    const events = record(cb => room.on('change', cb));
+    const { owner } = room.table;
+    const { grid } = room.table;
+
+    room.table.owner = new Person({ name: 'Alice' });
+    room.table.grid = [];
+    owner.name = 'Removed';
+    grid[0].push(5);
+    room.table.owner.name = 'Ann';
+
+    expect(events.map(e => e.path)).to.eql([
+      ['table', 'owner'],
+      ['table', 'grid'],
+      ['table', 'owner', 'name'],
+    ]);
+  });
+
+  it('Watches the given path', () => {
+    const room = new Room({
+      table: {
+        name: 'Main',
+        people: [{ name: 'John' }, { name: 'Jane' }],
+      },
+    });
+    const people = record(cb => room.watch('table.people', cb));
+    const first = record(cb => room.watch(['table', 'people', 0], cb));
+
+    room.table.name = 'Side';
+    room.table.people[0].name = 'Jack';
+    room.table.people[1].name = 'Jill';
+    room.table = new Table({ name: 'New' });
+
+    expect(people.map(e => e.path)).to.eql([
+      ['table', 'people', 0, 'name'],
+      ['table', 'people', 1, 'name'],
+      ['table'],
+    ]);
+    expect(first.map(e => e.path)).to.eql([
+      ['table', 'people', 0, 'name'],
+      ['table'],
+    ]);
+  });
+
+  it('Removes listeners', () => {
+    const person = new Person({ name: 'John' });
+    const events = [];
+    const off = person.on('change', event => events.push(event));
+
+    person.name = 'Jack';
+    off();
+    person.name = 'Jill';
+
+    expect(events).to.have.length(1);
+  });
+
+  it('Rejects unknown events', () => {
+    expect(() => new Person({}).on('update', () => {})).to.throw('Unknown event: update');
+  });
+
+  it('Reports setValues() as a single event', () => {
+    const room = new Room({ table: { name: 'Main', owner: { name: 'Bob' } } });
+    const events = record(cb => room.on('change', cb));
+
+    room.table.setValues({ name: 'Side', owner: { name: 'Alice' } });
+
+    expect(events).to.have.length(1);
+    expect(events[0].path).to.eql(['table']);
+    expect(events[0].changes.map(c => c.path)).to.eql([
+      ['table', 'name'],
+      ['table', 'owner'],
+    ]);
+    expect(room.table.owner).to.be.instanceOf(Person);
+  });
+
+  it('Batches changes made in a transaction', () => {
+    const room = new Room({ table: { people: [{ name: 'John' }, { name: 'Jane' }] } });
+    const events = record(cb => room.on('change', cb));
+
+    const result = room.transaction(() => {
+      room.table.people[0].name = 'Jack';
+      room.transaction(() => {
+        room.table.people[1].name = 'Jill';
+      });
+      expect(events).to.have.length(0);
+      return 'done';
+    });
+
+    expect(result).to.equal('done');
+    expect(events).to.have.length(1);
+    expect(events[0].path).to.eql(['table', 'people']);
+    expect(events[0].changes.map(c => c.new)).to.eql(['Jack', 'Jill']);
+  });
+
+  it('Reports changes made before a transaction failed', () => {
+    const person = new Person({ name: 'John' });
+    const events = record(cb => person.on('change', cb));
+
+    expect(() => person.transaction(() => {
+      person.name = 'Jack';
+      throw new Error('Failed');
+    })).to.throw('Failed');
+    expect(events).to.have.length(1);
+  });
+
+  it('Runs transactions of not observed models', () => {
+    const person = new Person({ name: 'John' });
+
+    expect(person.transaction(() => 1)).to.equal(1);
+    person.setValues({ name: 'Jack' });
+    expect(person.name).to.equal('Jack');
+  });
+
+  it('Rejects writes to readOnly props', () => {
+    const person = new Person({ name: 'John' });
+    person.on('change', () => {});
+
+    expect(() => { person.greeting = 'Hi'; }).to.throw(ValidationError);
+  });
+
+  it('Works with checked assignments', () => {
+    const person = new Person({ name: 'John' }, { checkAssignments: true });
+    const events = record(cb => person.on('change', cb));
+
+    expect(() => { person.age = 'old'; }).to.throw(ValidationError);
+    person.tags = ['a'];
+    person.tags.push('b');
+
+    expect(events.map(e => e.path)).to.eql([['tags'], ['tags']]);
+    expect(person.tags).to.eql(['a', 'b']);
+  });
+
+  it('Reports patches and reverts', () => {
+    const person = new Person({ name: 'John', age: 30 }, { trackChanges: true });
+    const events = record(cb => person.on('change', cb));
+
+    person.applyPatch([
+      { op: 'replace', path: '/name', value: 'Jack' },
+      { op: 'replace', path: '/age', value: 31 },
+    ]);
+    person.revert();
+
+    expect(events).to.have.length(2);
+    expect(person.name).to.equal('John');
+  });
+
+  it('Accepts listeners on immutable models', () => {
+    const person = new Person({ name: 'John' }, { immutable: true });
+    const events = record(cb => person.on('change', cb));
+
+    expect(() => { person.name = 'Jack'; }).to.throw(TypeError);
+    expect(events).to.eql([]);
+  });
+});
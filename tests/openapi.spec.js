@@ -0,0 +1,161 @@
+const Ajv = require('ajv');
+const { expect } = require('chai');
+const { TypedModel } = require('../lib/TypedModel');
+const { toOpenApiComponents } = require('../lib/openapi');
+const util = require('../lib/util');
+
+
+class Address extends TypedModel {
+  static props = {
+    'city': {type: 'string'},
+    'zip': {type: ['string', 'null']},
+  };
+}
+
+
+class Person extends TypedModel {
+  static props = {
+    'id': {type: 'integer', readOnly: true},
+    'name': {type: 'string'},
+    'password': {type: 'string', writeOnly: true},
+    'address': {type: Address},
+  };
+}
+
+
+class Customer extends Person {
+  static props = {
+    'orders': {type: 'array', items: {$ref: '#'}},
+  };
+}
+
+
+describe('toOpenApiComponents()', () => {
+  it('Exports models with references between them', () => {
+    const doc = toOpenApiComponents([Person]);
+
+    expect(doc).to.eql({
+      components: {
+        schemas: {
+          Person: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+              'id': {type: 'integer', readOnly: true},
+              'name': {type: 'string'},
+              'password': {type: 'string', writeOnly: true},
+              'address': {$ref: '#/components/schemas/Address'},
+            },
+          },
+          Address: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+              'city': {type: 'string'},
+              'zip': {type: 'string', nullable: true},
+            },
+          },
+        },
+      },
+    });
+  });
+
+  it('Flattens inherited props by default', () => {
+    const { components } = toOpenApiComponents([Customer]);
+
+    expect(Object.keys(components.schemas.Customer.properties)).to.eql([
+      'id', 'name', 'password', 'address', 'orders',
+    ]);
+    expect(components.schemas.Customer.properties.orders).to.eql({
+      type: 'array',
+      items: {$ref: '#/components/schemas/Customer'},
+    });
+    expect(components.schemas).to.not.have.property('Person');
+  });
+
+  it('Can express inheritance with allOf', () => {
+    const { components } = toOpenApiComponents([Customer], { inheritance: 'allOf' });
+
+    expect(components.schemas.Customer).to.eql({
+      allOf: [{$ref: '#/components/schemas/Person'}],
+      type: 'object',
+      properties: {
+        'orders': {type: 'array', items: {$ref: '#/components/schemas/Customer'}},
+      },
+    });
+    // Person would reject the props of Customer otherwise.
+    expect(components.schemas.Person).to.not.have.property('additionalProperties');
+    expect(components.schemas.Address.additionalProperties).to.equal(false);
+  });
+
+  it('Produces allOf schemas that validate the subclass instances', () => {
+    const { components } = toOpenApiComponents([Customer], { inheritance: 'allOf', version: '3.1' });
+    const validate = new Ajv().compile({ components, $ref: '#/components/schemas/Customer' });
+    const customer = new Customer({
+      name: 'John',
+      password: 'secret',
+      address: { city: 'Warsaw', zip: null },
+      orders: [{ name: 'Jack' }],
+    });
+
+    expect(validate(customer.asObject({ includeWriteOnly: true })), JSON.stringify(validate.errors))
+      .to.be.true;
+    expect(validate({ name: 'John', address: { city: 'Warsaw', unknown: 1 } })).to.be.false;
+  });
+
+  it('Skips empty properties with allOf', () => {
+    class Base extends TypedModel {
+      static props = { 'name': {type: 'string'} };
+    }
+    class Open extends Base {
+      static schema = { additionalProperties: true };
+    }
+
+    const { components } = toOpenApiComponents([Open], { inheritance: 'allOf' });
+
+    expect(components.schemas.Open).to.eql({
+      allOf: [{$ref: '#/components/schemas/Base'}],
+      type: 'object',
+      additionalProperties: true,
+    });
+  });
+
+  it('Accepts a model registry', () => {
+    const registry = new util.ModelRegistry();
+    registry.register(Address);
+
+    const { components } = toOpenApiComponents(registry);
+
+    expect(Object.keys(components.schemas)).to.eql(['Address']);
+  });
+
+  it('Supports OpenAPI 3.1', () => {
+    const { components } = toOpenApiComponents([Address], { version: '3.1' });
+
+    expect(components.schemas.Address.properties.zip).to.eql({type: ['string', 'null']});
+    expect(components.schemas.Address).to.not.have.property('$schema');
+    expect(() => toOpenApiComponents([Address], { version: '2.0' }))
+      .to.throw('Unsupported OpenAPI version: 2.0');
+  });
+
+  it('Can output JSON and YAML', () => {
+    const json = toOpenApiComponents([Address], { format: 'json', indent: 2 });
+    const yaml = toOpenApiComponents([Address], { format: 'yaml' });
+
+    expect(JSON.parse(json)).to.eql(toOpenApiComponents([Address]));
+    expect(yaml).to.equal([
+      'components:',
+      '  schemas:',
+      '    Address:',
+      '      type: object',
+      '      additionalProperties: false',
+      '      properties:',
+      '        city:',
+      '          type: string',
+      '        zip:',
+      '          type: string',
+      '          nullable: true',
+      '',
+    ].join('\n'));
+  });
+});
@@ -0,0 +1,258 @@
+const { expect } = require('chai');
+const { TypedModel } = require('../lib/TypedModel');
+const { ValidationError } = require('../lib/errors');
+const { applyOperations, diffValues } = require('../lib/patch');
+
+
+class Line extends TypedModel {
+  static props = {
+    'product': {type: 'string'},
+    'quantity': {type: 'integer', default: 1},
+  };
+}
+
+
+class Order extends TypedModel {
+  static props = {
+    'id': {type: 'integer'},
+    'createdAt': {type: 'string', format: 'date-time'},
+    'shipping': {type: 'object'},
+    'lines': {type: 'array', items: {type: Line}},
+    'note': {type: 'string'},
+  };
+}
+
+
+const values = {
+  id: 1,
+  createdAt: '2020-10-18T12:00:00.000Z',
+  shipping: { city: 'Warsaw', street: 'Main' },
+  lines: [{ product: 'pizza' }, { product: 'beer', quantity: 2 }],
+};
+
+
+describe('diffValues()', () => {
+  it('Returns an empty patch for equal values', () => {
+    expect(diffValues({ a: [1, { b: 2 }] }, { a: [1, { b: 2 }] })).to.eql([]);
+  });
+
+  it('Compares objects key by key', () => {
+    expect(diffValues(
+      { a: 1, b: { c: 2, 'd/e': 3 } },
+      { b: { c: 3, 'd/e': 3, f: null }, g: 'new' },
+    )).to.eql([
+      { op: 'remove', path: '/a' },
+      { op: 'replace', path: '/b/c', value: 3 },
+      { op: 'add', path: '/b/f', value: null },
+      { op: 'add', path: '/g', value: 'new' },
+    ]);
+  });
+
+  it('Compares arrays item by item', () => {
+    expect(diffValues([1, 2, 3], [1, 5])).to.eql([
+      { op: 'replace', path: '/1', value: 5 },
+      { op: 'remove', path: '/2' },
+    ]);
+    expect(diffValues([1], [1, 2, 3])).to.eql([
+      { op: 'add', path: '/1', value: 2 },
+      { op: 'add', path: '/2', value: 3 },
+    ]);
+  });
+
+  it('Replaces values of a different type', () => {
+    expect(diffValues({ a: [1] }, { a: { 0: 1 } })).to.eql([
+      { op: 'replace', path: '/a', value: { 0: 1 } },
+    ]);
+    expect(diffValues(1, 'x')).to.eql([{ op: 'replace', path: '', value: 'x' }]);
+  });
+});
+
+
+describe('applyOperations()', () => {
+  const apply = (doc, ...ops) => applyOperations(doc, ops);
+  const fails = (doc, op) => {
+    try {
+      applyOperations(doc, [op]);
+    }
+    catch (err) {
+      expect(err).to.be.instanceOf(ValidationError);
+      return err;
+    }
+    throw new Error('Patch did not fail');
+  };
+
+  it('Adds values', () => {
+    expect(apply(
+      { a: [1, 3] },
+      { op: 'add', path: '/a/1', value: 2 },
+      { op: 'add', path: '/a/-', value: 4 },
+      { op: 'add', path: '/b', value: { c: true } },
+    )).to.eql({ a: [1, 2, 3, 4], b: { c: true } });
+  });
+
+  it('Removes and replaces values', () => {
+    expect(apply(
+      { a: [1, 2, 3], b: 1, c: 2 },
+      { op: 'remove', path: '/a/0' },
+      { op: 'remove', path: '/b' },
+      { op: 'replace', path: '/c', value: [3] },
+    )).to.eql({ a: [2, 3], c: [3] });
+    expect(apply({ a: 1 }, { op: 'replace', path: '', value: [1] })).to.eql([1]);
+  });
+
+  it('Moves and copies values', () => {
+    expect(apply(
+      { a: [1, 2, 3], b: { c: 'x' } },
+      { op: 'move', path: '/a/2', from: '/a/0' },
+      { op: 'copy', path: '/d', from: '/b' },
+      { op: 'move', path: '/e~1f', from: '/b/c' },
+    )).to.eql({ a: [2, 3, 1], b: {}, d: { c: 'x' }, 'e/f': 'x' });
+  });
+
+  it('Does not share values between the patch and the document', () => {
+    const value = { b: 1 };
+    const doc = apply({}, { op: 'add', path: '/a', value }, { op: 'copy', path: '/c', from: '/a' });
+
+    doc.a.b = 2;
+    expect(value.b).to.equal(1);
+    expect(doc.c.b).to.equal(1);
+  });
+
+  it('Tests values', () => {
+    expect(apply({ a: { b: [1] } }, { op: 'test', path: '/a', value: { b: [1] } }))
+      .to.eql({ a: { b: [1] } });
+
+    const err = fails({ a: { b: [1] } }, { op: 'test', path: '/a/b/0', value: 2 });
+    expect(err.message).to.equal('$.a.b[0]: Test failed');
+    expect(err.issues[0]).to.include({ keyword: 'test', expected: 2, actual: 1 });
+  });
+
+  it('Reports errors at the operation path', () => {
+    const doc = { a: [1], b: { c: 1 }, d: 1 };
+
+    expect(fails(doc, { op: 'remove', path: '/b/x' }).message).to.equal('$.b.x: Path does not exist');
+    expect(fails(doc, { op: 'replace', path: '/a/1', value: 1 }).message).to.equal('$.a[1]: Path does not exist');
+    expect(fails(doc, { op: 'remove', path: '/a/-' }).message).to.equal('$.a.-: Path does not exist');
+    expect(fails(doc, { op: 'add', path: '/a/3', value: 1 }).message).to.equal('$.a[3]: Index out of bounds');
+    expect(fails(doc, { op: 'add', path: '/a/01', value: 1 }).message).to.equal('$.a.01: Invalid array index: 01');
+    expect(fails(doc, { op: 'add', path: '/d/e/f', value: 1 }).message).to.equal('$.d.e.f: Path does not exist');
+    expect(fails(doc, { op: 'copy', path: '/x', from: '/y' }).message).to.equal('$.y: Path does not exist');
+    expect(fails(doc, { op: 'move', path: '/b/c', from: '/b' }).message)
+      .to.equal('$.b.c: Cannot move a value into its own child');
+    expect(fails(doc, { op: 'move', path: '/x' }).message).to.equal('$: Invalid JSON pointer: undefined');
+    expect(fails(doc, { op: 'add', path: 'a', value: 1 }).message).to.equal('$: Invalid JSON pointer: a');
+    expect(fails(doc, { op: 'merge', path: '/a' }).message).to.equal('$.a: Unknown patch operation: merge');
+  });
+
+  it('Never reaches the object prototypes', () => {
+    const doc = { a: {} };
+
+    expect(fails(doc, { op: 'add', path: '/__proto__/polluted', value: 'yes' }).message)
+      .to.equal('$.__proto__: Forbidden key: __proto__');
+    expect(fails(doc, { op: 'add', path: '/a/constructor/prototype/polluted', value: 'yes' }).message)
+      .to.equal('$.a.constructor: Forbidden key: constructor');
+    expect(fails(doc, { op: 'add', path: '/toString/polluted', value: 'yes' }).message)
+      .to.equal('$.toString.polluted: Path does not exist');
+    expect(({}).polluted).to.be.undefined;
+  });
+
+  it('Rejects malformed operations', () => {
+    expect(() => applyOperations({}, { op: 'add' }))
+      .to.throw(ValidationError, '$: Expected a list of patch operations');
+    expect(fails({}, null).message).to.equal('$: Patch operations must be objects');
+  });
+});
+
+
+describe('Model.diff()', () => {
+  it('Creates a patch between two models', () => {
+    const before = new Order(values);
+    const after = new Order({
+      ...values,
+      createdAt: '2020-10-19T12:00:00.000Z',
+      lines: [{ product: 'pizza', quantity: 3 }],
+      note: 'Quickly',
+    });
+
+    expect(Order.diff(before, after)).to.eql([
+      { op: 'replace', path: '/createdAt', value: '2020-10-19T12:00:00.000Z' },
+      { op: 'replace', path: '/lines/0/quantity', value: 3 },
+      { op: 'remove', path: '/lines/1' },
+      { op: 'add', path: '/note', value: 'Quickly' },
+    ]);
+  });
+
+  it('Accepts plain values', () => {
+    expect(Order.diff(values, { ...values, id: 2 })).to.eql([
+      { op: 'replace', path: '/id', value: 2 },
+    ]);
+  });
+});
+
+
+describe('applyPatch()', () => {
+  it('Rebuilds nested models and formats', () => {
+    const order = new Order(values);
+    const result = order.applyPatch([
+      { op: 'replace', path: '/createdAt', value: '2020-10-19T12:00:00.000Z' },
+      { op: 'add', path: '/lines/-', value: { product: 'wine' } },
+      { op: 'move', path: '/note', from: '/shipping/street' },
+    ]);
+
+    expect(result).to.equal(order);
+    expect(order.createdAt).to.eql(new Date('2020-10-19T12:00:00.000Z'));
+    expect(order.lines[2]).to.be.instanceOf(Line);
+    expect(order.lines[2].quantity).to.equal(1);
+    expect(order.shipping).to.eql({ city: 'Warsaw' });
+    expect(order.note).to.equal('Main');
+  });
+
+  it('Is the inverse of diff()', () => {
+    const before = new Order(values);
+    const after = new Order({ ...values, lines: [{ product: 'beer' }], note: 'x' });
+
+    expect(before.applyPatch(Order.diff(before, after)).equals(after)).to.be.true;
+  });
+
+  it('Reports invalid values at the patch path', () => {
+    const order = new Order(values);
+
+    expect(() => order.applyPatch([
+      { op: 'add', path: '/lines/0', value: { product: 1 } },
+    ], { strict: true })).to.throw(ValidationError, '$.lines[0].product: Expected string, got number');
+    expect(() => order.applyPatch([{ op: 'replace', path: '', value: 1 }]))
+      .to.throw(ValidationError, '$: Expected object, got number');
+  });
+
+  it('Rejects patches reaching the object prototypes', () => {
+    const order = new Order(values);
+
+    expect(() => order.applyPatch([{ op: 'add', path: '/__proto__/polluted', value: 'yes' }]))
+      .to.throw(ValidationError, '$.__proto__: Forbidden key: __proto__');
+    expect(() => order.applyPatch([{ op: 'add', path: '/shipping/__proto__/polluted', value: 'yes' }]))
+      .to.throw(ValidationError, '$.shipping.__proto__: Forbidden key: __proto__');
+    expect(() => order.applyPatch([null])).to.throw(ValidationError, 'Patch operations must be objects');
+    expect(() => order.applyPatch('nope')).to.throw(ValidationError, 'Expected a list of patch operations');
+    expect(({}).polluted).to.be.undefined;
+  });
+
+  it('Does not change the model if the patch fails', () => {
+    const order = new Order(values);
+
+    expect(() => order.applyPatch([
+      { op: 'replace', path: '/id', value: 2 },
+      { op: 'test', path: '/id', value: 1 },
+    ])).to.throw(ValidationError, '$.id: Test failed');
+    expect(order.id).to.equal(1);
+  });
+
+  it('Returns a patched copy of immutable models', () => {
+    const order = new Order(values, { immutable: true });
+    const result = order.applyPatch([{ op: 'replace', path: '/id', value: 2 }]);
+
+    expect(order.id).to.equal(1);
+    expect(result.id).to.equal(2);
+    expect(result).to.be.instanceOf(Order);
+    expect(Object.isFrozen(result)).to.be.true;
+  });
+});
@@ -0,0 +1,268 @@
+const { expect } = require('chai');
+const { TypedModel } = require('../lib/TypedModel');
+const { forbiddenItemKeyword, itemSchema, mapSubschemas, propertySchema } = require('../lib/schema');
+
+
+class Address extends TypedModel {
+  static props = {
+    'city': {type: 'string'},
+  };
+}
+
+
+class Person extends TypedModel {
+  static props = {
+    'name': {type: 'string'},
+    'address': {type: Address, description: 'Home address'},
+  };
+}
+
+
+class Customer extends Person {
+  static props = {
+    'shipping': {type: Address},
+  };
+}
+
+
+class Shop extends TypedModel {
+  static props = {
+    'owner': {type: Person},
+    'customers': {type: 'array', items: {type: Customer}},
+    'location': {
+      type: 'object',
+      properties: {
+        'address': {type: Address},
+      },
+    },
+    'branches': {type: 'array', items: {$ref: '#'}},
+  };
+}
+
+
+class Author extends TypedModel {
+  static props = {
+    'name': {type: 'string'},
+    'books': {type: 'array', items: {$ref: 'Book'}},
+  };
+}
+Author.register();
+
+
+class Book extends TypedModel {
+  static props = {
+    'title': {type: 'string'},
+    'author': {$ref: 'Author'},
+    'sequel': {$ref: '#'},
+  };
+}
+Book.register();
+
+
+describe('mapSubschemas()', () => {
+  it('Applies the mapper to all subschemas', () => {
+    const mark = schema => ({ ...schema, marked: true });
+    const result = mapSubschemas({
+      type: 'object',
+      properties: { a: {type: 'string'} },
+      patternProperties: { '^x-': {type: 'string'} },
+      additionalProperties: {type: 'number'},
+      items: [{type: 'string'}],
+      oneOf: [{type: 'string'}],
+      not: {type: 'null'},
+    }, mark);
+
+    expect(result).to.eql({
+      type: 'object',
+      properties: { a: {type: 'string', marked: true} },
+      patternProperties: { '^x-': {type: 'string', marked: true} },
+      additionalProperties: {type: 'number', marked: true},
+      items: [{type: 'string', marked: true}],
+      oneOf: [{type: 'string', marked: true}],
+      not: {type: 'null', marked: true},
+    });
+  });
+
+  it('Skips boolean subschemas', () => {
+    const result = mapSubschemas({ additionalProperties: false, items: true }, () => ({}));
+
+    expect(result).to.eql({ additionalProperties: false, items: true });
+  });
+});
+
+
+describe('getSchema({ defs })', () => {
+  it('Hoists nested models into $defs', () => {
+    expect(Person.getSchema({ defs: true })).to.eql({
+      $schema: 'http://json-schema.org/schema#',
+      $id: 'Person',
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        'name': {type: 'string'},
+        'address': {$ref: '#/$defs/Address', description: 'Home address'},
+      },
+      $defs: {
+        Address: {
+          type: 'object',
+          additionalProperties: false,
+          properties: {
+            'city': {type: 'string'},
+          },
+        },
+      },
+    });
+  });
+
+  it('Gives different models with the same name unique definitions', () => {
+    const homeAddress = () => class Address extends TypedModel {
+      static props = { 'street': {type: 'string'} };
+    };
+    const billingAddress = () => class Address extends TypedModel {
+      static props = { 'vatId': {type: 'string'} };
+    };
+    const Home = homeAddress();
+    const Billing = billingAddress();
+
+    class Client extends TypedModel {
+      static props = {
+        'home': {type: Home},
+        'billing': {type: Billing},
+        'other': {type: Home},
+      };
+    }
+
+    const schema = Client.getSchema({ defs: true });
+
+    expect(schema.properties.home).to.eql({$ref: '#/$defs/Address'});
+    expect(schema.properties.billing).to.eql({$ref: '#/$defs/Address2'});
+    expect(schema.properties.other).to.eql({$ref: '#/$defs/Address'});
+    expect(Object.keys(schema.$defs.Address.properties)).to.eql(['street']);
+    expect(Object.keys(schema.$defs.Address2.properties)).to.eql(['vatId']);
+  });
+
+  it('Defines each model only once', () => {
+    const schema = Shop.getSchema({ defs: true });
+
+    expect(Object.keys(schema.$defs)).to.eql(['Person', 'Address', 'Customer']);
+    expect(schema.properties.customers).to.eql({
+      type: 'array',
+      items: {$ref: '#/$defs/Customer'},
+    });
+    expect(schema.properties.location.properties.address).to.eql({$ref: '#/$defs/Address'});
+    expect(schema.$defs.Customer.properties).to.eql({
+      'name': {type: 'string'},
+      'address': {$ref: '#/$defs/Address', description: 'Home address'},
+      'shipping': {$ref: '#/$defs/Address'},
+    });
+  });
+
+  it('Keeps self reference of the root model', () => {
+    const schema = Shop.getSchema({ defs: true });
+
+    expect(schema.properties.branches).to.eql({type: 'array', items: {$ref: '#'}});
+  });
+
+  it('Supports cycles between registered models', () => {
+    const schema = Author.getSchema({ defs: true });
+
+    expect(schema.properties.books).to.eql({type: 'array', items: {$ref: '#/$defs/Book'}});
+    expect(schema.$defs.Book.properties).to.eql({
+      'title': {type: 'string'},
+      'author': {$ref: '#'},
+      'sequel': {$ref: '#/$defs/Book'},
+    });
+  });
+
+  it('Can use definitions instead of $defs', () => {
+    const schema = Person.getSchema({ defs: 'definitions' });
+
+    expect(schema.properties.address.$ref).to.equal('#/definitions/Address');
+    expect(schema.definitions).to.have.key('Address');
+    expect(schema).to.not.have.property('$defs');
+  });
+
+  it('Does not add $defs if there are no nested models', () => {
+    expect(Address.getSchema({ defs: true })).to.not.have.property('$defs');
+  });
+
+  it('Converts polymorphic props', () => {
+    class Checkout extends TypedModel {
+      static props = {
+        'payer': {
+          oneOf: [Person, {type: Customer}, {$ref: 'Author'}],
+          discriminator: {
+            propertyName: 'kind',
+            mapping: { person: Person, author: 'Author', other: 'Unknown' },
+          },
+        },
+      };
+    }
+
+    expect(Checkout.getSchema({ defs: true }).properties.payer).to.eql({
+      oneOf: [
+        {$ref: '#/$defs/Person'},
+        {$ref: '#/$defs/Customer'},
+        {$ref: '#/$defs/Author'},
+      ],
+      discriminator: {
+        propertyName: 'kind',
+        mapping: {
+          person: '#/$defs/Person',
+          author: '#/$defs/Author',
+          other: 'Unknown',
+        },
+      },
+    });
+  });
+
+  it('Leaves unknown references alone', () => {
+    class External extends TypedModel {
+      static props = {
+        'other': {$ref: 'https://example.com/schema.json'},
+      };
+    }
+
+    expect(External.getSchema({ defs: true }).properties.other).to.eql({
+      $ref: 'https://example.com/schema.json',
+    });
+  });
+});
+
+
+describe('propertySchema()', () => {
+  const schema = {
+    properties: { 'id': {type: 'integer'} },
+    patternProperties: { '^x-': {type: 'string'}, '^x-num': {type: 'number'} },
+    additionalProperties: {type: 'boolean'},
+  };
+
+  it('Prefers properties, then patterns, then additionalProperties', () => {
+    expect(propertySchema(schema, 'id')).to.eql({type: 'integer'});
+    expect(propertySchema(schema, 'x-num')).to.eql({type: 'string'});
+    expect(propertySchema(schema, 'other')).to.eql({type: 'boolean'});
+    expect(propertySchema({}, 'other')).to.be.undefined;
+  });
+});
+
+
+describe('itemSchema()', () => {
+  const tuple = { prefixItems: [{type: 'string'}, true], items: false };
+  const legacy = { items: [{type: 'string'}], additionalItems: {type: 'number'} };
+
+  it('Uses the schema for the item position', () => {
+    expect(itemSchema(tuple, 0)).to.eql({type: 'string'});
+    expect(itemSchema(tuple, 1)).to.eql({});
+    expect(itemSchema(legacy, 5)).to.eql({type: 'number'});
+    expect(itemSchema({ items: {type: 'integer'} }, 3)).to.eql({type: 'integer'});
+    expect(itemSchema({}, 0)).to.eql({});
+  });
+
+  it('Tells which keyword forbids the item', () => {
+    expect(forbiddenItemKeyword(tuple, 1)).to.be.undefined;
+    expect(forbiddenItemKeyword(tuple, 2)).to.equal('items');
+    expect(forbiddenItemKeyword({ ...legacy, additionalItems: false }, 1)).to.equal('additionalItems');
+    expect(forbiddenItemKeyword({ items: false }, 0)).to.equal('items');
+    expect(forbiddenItemKeyword(legacy, 1)).to.be.undefined;
+  });
+});
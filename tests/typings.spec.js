@@ -0,0 +1,302 @@
+const { expect } = require('chai');
+const { TypedModel } = require('../lib/TypedModel');
+const { ModelRegistry } = require('../lib/util');
+const { generateTypings } = require('../lib/typings');
+
+
+class Address extends TypedModel {
+  static props = {
+    'street': {type: 'string'},
+    'country code': {type: 'string', enum: ['PL', 'GB'], default: 'PL'},
+  };
+}
+
+class Person extends TypedModel {
+  static props = {
+    'name': {type: 'string'},
+    'birthday': {type: 'string', format: 'date'},
+    'email': {type: 'string', format: 'email'},
+    'address': {type: Address},
+    'friends': {type: 'array', items: {$ref: '#'}},
+  };
+  static schema = {
+    required: ['name'],
+  };
+}
+
+class Order extends TypedModel {
+  static props = {
+    'id': {type: 'integer'},
+    'createdAt': {type: 'string', format: 'date-time', default: () => new Date()},
+    'total': {type: 'number', readOnly: true},
+    'status': {type: 'string', enum: ['new', 'paid'], default: 'new'},
+    'customer': {type: Person},
+    'tags': {type: 'array', items: {type: ['string', 'null']}},
+  };
+  static schema = {
+    required: ['id', 'createdAt'],
+  };
+
+  get total() {
+    return 42;
+  }
+}
+
+
+// Get the declaration starting with the given header.
+function declaration(source, header) {
+  const start = source.indexOf(`${header} {`);
+  return source.slice(start, source.indexOf('\n}\n', start) + 2);
+}
+
+
+describe('generateTypings()', () => {
+  const source = generateTypings([Order]);
+
+  it('Declares the shared types', () => {
+    expect(source).to.match(/^\/\/ Generated by typed-models/);
+    expect(source).to.include('export interface ModelOptions {');
+    expect(source).to.include('  immutable?: boolean;');
+    expect(source).to.include('export interface CompareOptions {');
+    expect(source).to.include('export interface JsonPatchOperation {');
+    expect(source).to.include('  trackChanges?: boolean;');
+    expect(source).to.include('  checkAssignments?: boolean;');
+    expect(source).to.include('export interface ModelChange {');
+    expect(source).to.include('export interface ChangeEvent {');
+    expect(source).to.include('export interface ValidationIssue {');
+  });
+
+  it('Declares the instance interface', () => {
+    expect(declaration(source, 'export interface Order')).to.equal([
+      'export interface Order {',
+      '  id: number;',
+      '  createdAt: Date;',
+      '  readonly total?: number;',
+      "  status: 'new' | 'paid';",
+      '  customer?: Person;',
+      '  tags: (string | null)[];',
+      '}',
+    ].join('\n'));
+  });
+
+  it('Declares the plain object type', () => {
+    expect(declaration(source, 'export interface OrderObject')).to.equal([
+      'export interface OrderObject {',
+      '  id: number;',
+      '  createdAt: string;',
+      '  total?: number;',
+      "  status: 'new' | 'paid';",
+      '  customer?: PersonObject;',
+      '  tags: (string | null)[];',
+      '}',
+    ].join('\n'));
+  });
+
+  it('Declares the constructor input type', () => {
+    expect(declaration(source, 'export interface OrderInput')).to.equal([
+      'export interface OrderInput {',
+      '  id: number;',
+      '  createdAt?: string | Date;',
+      "  status?: 'new' | 'paid';",
+      '  customer?: PersonInput | Person;',
+      '  tags?: (string | null)[];',
+      '}',
+    ].join('\n'));
+  });
+
+  it('Declares the model class', () => {
+    expect(declaration(source, 'export declare class Order')).to.equal([
+      'export declare class Order {',
+      '  constructor(values: OrderInput, options?: ModelOptions);',
+      '  static validate(values: unknown): ValidationIssue[] | null;',
+      '  static asObject(data: OrderInput): OrderObject;',
+      '  static diff(a: Order | OrderInput, b: Order | OrderInput): JsonPatchOperation[];',
+      '  asObject(options?: DumpOptions): OrderObject;',
+      '  asJsonStr(indent?: number, options?: DumpOptions): string;',
+      '  setValues(values: Partial<OrderInput>, options?: ModelOptions): void;',
+      '  validate(): ValidationIssue[] | null;',
+      '  with(values: Partial<OrderInput>, options?: ModelOptions): Order;',
+      '  clone(): Order;',
+      '  equals(other: unknown, options?: CompareOptions): boolean;',
+      '  hash(options?: CompareOptions): string;',
+      '  applyPatch(ops: JsonPatchOperation[], options?: ModelOptions): Order;',
+      '  isDirty(propName?: keyof Order): boolean;',
+      '  getChanges(): ModelChange[];',
+      '  commit(): void;',
+      '  revert(): void;',
+      "  on(event: 'change', callback: (event: ChangeEvent) => void): () => void;",
+      '  watch(path: string | (string | number)[], callback: (event: ChangeEvent) => void): () => void;',
+      '  transaction<T>(fn: () => T): T;',
+      '}',
+    ].join('\n'));
+    expect(source).to.include('  constructor(values?: AddressInput, options?: ModelOptions);');
+  });
+
+  it('Declares all referenced models once', () => {
+    expect(source.match(/export declare class \w+/g)).to.eql([
+      'export declare class Order',
+      'export declare class Person',
+      'export declare class Address',
+    ]);
+  });
+
+  it('Handles self references and quoted names', () => {
+    const person = declaration(source, 'export interface Person');
+
+    expect(person).to.include('  friends: Person[];');
+    expect(person).to.include('  birthday?: Date;');
+    // Not a registered format, so it stays a string.
+    expect(person).to.include('  email?: string;');
+    expect(declaration(source, 'export interface Address')).to.include(
+      "  'country code': 'PL' | 'GB';"
+    );
+  });
+
+  it('Uses the given types for custom formats', () => {
+    TypedModel.formats.register('decimal', { load: Number, dump: String });
+    class Price extends TypedModel {
+      static props = {
+        'amount': {type: 'string', format: 'decimal'},
+        'raw': {type: 'string', format: 'decimal'},
+      };
+    }
+
+    const typings = generateTypings([Price], { formats: { decimal: 'number' } });
+    expect(declaration(typings, 'export interface Price')).to.include('  amount?: number;');
+    expect(declaration(typings, 'export interface PriceInput')).to.include('  amount?: string | number;');
+    expect(declaration(generateTypings([Price]), 'export interface Price')).to.include('  raw?: unknown;');
+  });
+
+  it('Uses the external names for objects and inputs', () => {
+    class Account extends TypedModel {
+      static options = { naming: 'snake' };
+      static props = {
+        'userName': {type: 'string', loadAlias: 'login'},
+      };
+    }
+
+    const typings = generateTypings([Account]);
+    expect(declaration(typings, 'export interface Account')).to.include('  userName?: string;');
+    expect(declaration(typings, 'export interface AccountObject')).to.include('  user_name?: string;');
+    expect(declaration(typings, 'export interface AccountInput')).to.include('  login?: string;');
+  });
+
+  it('Makes writeOnly props optional in plain objects', () => {
+    class Login extends TypedModel {
+      static schema = { required: ['password'] };
+      static props = {
+        'password': {type: 'string', writeOnly: true},
+      };
+    }
+
+    const typings = generateTypings([Login]);
+    expect(declaration(typings, 'export interface LoginObject')).to.include('  password?: string;');
+    expect(declaration(typings, 'export interface LoginInput')).to.include('  password: string;');
+    expect(typings).to.include('export interface DumpOptions {');
+  });
+
+  it('Declares nullable formats and arrays the way they are loaded', () => {
+    class Meeting extends TypedModel {
+      static props = {
+        'when': {type: ['string', 'null'], format: 'date'},
+        'people': {type: ['array', 'null'], items: {type: Person}},
+      };
+    }
+
+    const typings = generateTypings([Meeting]);
+    expect(declaration(typings, 'export interface Meeting')).to.include([
+      '  when?: Date | null;',
+      '  people?: Person[] | null;',
+    ].join('\n'));
+    expect(declaration(typings, 'export interface MeetingObject')).to.include([
+      '  when?: string | null;',
+      '  people?: PersonObject[] | null;',
+    ].join('\n'));
+    expect(declaration(typings, 'export interface MeetingInput')).to.include([
+      '  when?: string | Date | null;',
+      '  people?: (PersonInput | Person)[] | null;',
+    ].join('\n'));
+
+    const meeting = new Meeting({ when: '2020-01-01', people: [{ name: 'John' }] });
+    expect(meeting.when).to.be.instanceOf(Date);
+    expect(meeting.people[0]).to.be.instanceOf(Person);
+  });
+
+  it('Converts JSON schema types', () => {
+    class Variant extends TypedModel {
+      static props = {
+        'kind': {const: 'variant'},
+      };
+    }
+    class Everything extends TypedModel {
+      static props = {
+        'flag': {type: 'boolean'},
+        'nothing': {type: 'null'},
+        'any': {},
+        'anything': {type: 'array'},
+        'tuple': {type: 'array', prefixItems: [{type: 'string'}, {type: 'number'}]},
+        'pair': {type: 'array', items: [{type: 'integer'}, true]},
+        'row': {type: 'array', prefixItems: [{type: 'string'}], items: {type: ['number', 'null']}},
+        'legacy': {type: 'array', items: [{type: 'string'}], additionalItems: {type: 'boolean'}},
+        'choice': {oneOf: [Variant, {type: 'string'}]},
+        'both': {allOf: [{type: 'object', properties: { 'a': {type: 'string'} }}, {type: 'object'}]},
+        'point': {
+          type: 'object',
+          required: ['x'],
+          properties: { 'x': {type: 'number'}, 'y': {type: 'number'} },
+          additionalProperties: false,
+        },
+        'closed': {type: 'object', additionalProperties: false},
+        'map': {type: 'object', additionalProperties: {type: 'number'}},
+        'totals': {
+          type: 'object',
+          required: ['count'],
+          properties: { 'count': {type: 'integer'}, 'label': {type: 'string'} },
+          additionalProperties: {type: 'number'},
+        },
+        'dict': {type: 'object', patternProperties: {'^x': {type: 'string'}}, additionalProperties: false},
+        'never': {type: 'array', items: false},
+        'external': {$ref: 'https://example.com/schema.json'},
+        'values': {enum: [1, null, 'a']},
+        'mixed': {oneOf: [{type: 'string'}, {}]},
+      };
+    }
+
+    const typings = declaration(generateTypings([Everything]), 'export interface Everything');
+    expect(typings.split('\n').slice(1, -1)).to.eql([
+      '  flag?: boolean;',
+      '  nothing?: null;',
+      '  any?: unknown;',
+      '  anything: unknown[];',
+      '  tuple: [string, number];',
+      '  pair: [number, unknown];',
+      '  row: [string, ...(number | null)[]];',
+      '  legacy: [string, ...boolean[]];',
+      '  choice?: Variant | string;',
+      '  both?: { a?: string; [key: string]: unknown; } & { [key: string]: unknown; };',
+      '  point?: { x: number; y?: number; };',
+      '  closed?: Record<string, never>;',
+      '  map?: { [key: string]: number; };',
+      '  totals?: { count: number; label?: string; [key: string]: number | string | undefined; };',
+      '  dict?: { [key: string]: string; };',
+      '  never: never[];',
+      '  external?: unknown;',
+      "  values?: 1 | null | 'a';",
+      '  mixed?: unknown;',
+    ]);
+    expect(generateTypings([Everything])).to.include("  kind?: 'variant';");
+  });
+
+  it('Accepts a model registry', () => {
+    const registry = new ModelRegistry();
+    registry.register(Address);
+
+    expect(generateTypings(registry)).to.include('export declare class Address {');
+  });
+
+  it('Declares models without props', () => {
+    class Empty extends TypedModel {}
+
+    expect(generateTypings([Empty])).to.include('export interface Empty {}\n');
+  });
+});
@@ -92,6 +92,29 @@ describe('isEmpty()', () => {
 });
 
 
+describe('isPlainObject()', () => {
+  it('Returns true for object literals', () => {
+    expect(util.isPlainObject({})).to.be.true;
+    expect(util.isPlainObject(Object.create(null))).to.be.true;
+  });
+
+  it('Returns false for arrays, class instances and primitives', () => {
+    expect(util.isPlainObject([])).to.be.false;
+    expect(util.isPlainObject(new Date())).to.be.false;
+    expect(util.isPlainObject(null)).to.be.false;
+    expect(util.isPlainObject('a')).to.be.false;
+  });
+});
+
+
+describe('hasOwn()', () => {
+  it('Ignores inherited properties', () => {
+    expect(util.hasOwn({a: 1}, 'a')).to.be.true;
+    expect(util.hasOwn({a: 1}, 'toString')).to.be.false;
+  });
+});
+
+
 describe('formatDate()', () => {
   it('Correctly converts the date to string', () => {
     const examples = [
@@ -108,3 +131,97 @@ describe('formatDate()', () => {
 });
 
 
+
+
+describe('ModelRegistry', () => {
+  class Person {}
+  class Team {}
+
+  it('Finds registered models by name', () => {
+    const registry = new util.ModelRegistry();
+
+    registry.register(Person);
+    registry.register(Team, 'Squad');
+
+    expect(registry.find('Person')).to.equal(Person);
+    expect(registry.find('Squad')).to.equal(Team);
+    expect(registry.find('Team')).to.be.undefined;
+    expect(registry.find()).to.be.undefined;
+  });
+
+  it('Resolves $refs', () => {
+    const registry = new util.ModelRegistry();
+
+    registry.register(Person);
+
+    expect(registry.resolve('Person')).to.equal(Person);
+    expect(registry.resolve('#/$defs/Person')).to.equal(Person);
+    expect(registry.resolve('#/definitions/Person')).to.equal(Person);
+    expect(registry.resolve('#/components/schemas/Person')).to.equal(Person);
+    expect(registry.resolve('#/$defs/Team')).to.be.undefined;
+    expect(registry.resolve(Person)).to.be.undefined;
+  });
+});
+
+
+describe('toYaml()', () => {
+  it('Converts nested data', () => {
+    const yaml = util.toYaml({
+      name: 'Test',
+      count: 3,
+      enabled: true,
+      missing: null,
+      skipped: undefined,
+      tags: ['a', 'b'],
+      nested: { key: 'value', list: [{ a: 1, b: 2 }, [1, 2]] },
+      empty: { obj: {}, arr: [] },
+    });
+
+    expect(yaml).to.equal([
+      'name: Test',
+      'count: 3',
+      'enabled: true',
+      'missing: null',
+      'tags:',
+      '  - a',
+      '  - b',
+      'nested:',
+      '  key: value',
+      '  list:',
+      '    - a: 1',
+      '      b: 2',
+      '    - - 1',
+      '      - 2',
+      'empty:',
+      '  obj: {}',
+      '  arr: []',
+      '',
+    ].join('\n'));
+  });
+
+  it('Quotes strings that would be read as something else', () => {
+    const yaml = util.toYaml({
+      '$ref': '#/components/schemas/Person',
+      'bool': 'true',
+      'num': '12',
+      'colon': 'a: b',
+      'trailing': 'a ',
+      'plain': 'date-time',
+    });
+
+    expect(yaml).to.equal([
+      '$ref: "#/components/schemas/Person"',
+      'bool: "true"',
+      'num: "12"',
+      'colon: "a: b"',
+      'trailing: "a "',
+      'plain: date-time',
+      '',
+    ].join('\n'));
+  });
+
+  it('Supports scalars', () => {
+    expect(util.toYaml('text')).to.equal('text\n');
+    expect(util.toYaml([])).to.equal('[]\n');
+  });
+});
@@ -0,0 +1,306 @@
+const { expect } = require('chai');
+const { TypedModel } = require('../lib/TypedModel');
+const { validateValue } = require('../lib/validation');
+const { formatPath } = require('../lib/errors');
+
+
+class Person extends TypedModel {
+  static props = {
+    'name': { type: 'string', minLength: 2, maxLength: 10 },
+    'email': { type: 'string', pattern: '^[^@]+@[^@]+$' },
+    'age': { type: 'integer', minimum: 0, maximum: 150 },
+    'role': { type: 'string', enum: ['admin', 'user'] },
+  };
+  static schema = {
+    required: ['name'],
+  };
+}
+
+
+class Team extends TypedModel {
+  static props = {
+    'name': { type: 'string' },
+    'members': { type: 'array', items: { type: Person }, minItems: 1, maxItems: 3 },
+    'tags': { type: 'array', items: { type: 'string' }, uniqueItems: true },
+    'lead': { type: Person },
+    'parent': { $ref: '#' },
+  };
+}
+
+
+function validate(schema, value) {
+  const errors = [];
+  validateValue([], schema, value, {}, errors);
+  return brief(errors);
+}
+
+
+// Strip the issues down to make the assertions more readable.
+function brief(errors) {
+  return errors && errors.map(({ path, keyword, message }) => ({
+    path: formatPath(path),
+    keyword,
+    message,
+  }));
+}
+
+
+describe('validateValue()', () => {
+  it('Checks the type', () => {
+    expect(validate({ type: 'string' }, 'a')).to.eql([]);
+    expect(validate({ type: 'string' }, 1)).to.eql([
+      { path: '$', keyword: 'type', message: 'Expected string, got number' },
+    ]);
+  });
+
+  it('Distinguishes integers from numbers', () => {
+    expect(validate({ type: 'number' }, 1.5)).to.eql([]);
+    expect(validate({ type: 'integer' }, 1.5)).to.have.length(1);
+    expect(validate({ type: 'integer' }, 2)).to.eql([]);
+  });
+
+  it('Distinguishes arrays, objects and null', () => {
+    expect(validate({ type: 'object' }, [])[0].message).to.equal('Expected object, got array');
+    expect(validate({ type: 'object' }, null)[0].message).to.equal('Expected object, got null');
+    expect(validate({ type: 'array' }, {})[0].message).to.equal('Expected array, got object');
+    expect(validate({ type: 'null' }, null)).to.eql([]);
+  });
+
+  it('Supports a list of types', () => {
+    expect(validate({ type: ['string', 'null'] }, null)).to.eql([]);
+    expect(validate({ type: ['string', 'null'] }, 3)[0].message).to.equal(
+      'Expected string or null, got number'
+    );
+  });
+
+  it('Supports enum with non-primitive values', () => {
+    const schema = { enum: [[1, 2], { a: 1 }] };
+
+    expect(validate(schema, [1, 2])).to.eql([]);
+    expect(validate(schema, { a: 1 })).to.eql([]);
+    expect(validate(schema, { a: 2 })[0].keyword).to.equal('enum');
+    expect(validate(schema, [1])[0].keyword).to.equal('enum');
+    expect(validate(schema, { 0: 1, 1: 2 })[0].keyword).to.equal('enum');
+  });
+
+  it('Validates additionalProperties schema', () => {
+    const schema = {
+      type: 'object',
+      properties: { name: { type: 'string' } },
+      additionalProperties: { type: 'number' },
+    };
+
+    expect(validate(schema, { name: 'x', a: 1 })).to.eql([]);
+    expect(validate(schema, { name: 'x', a: 'b' })).to.eql([
+      { path: '$.a', keyword: 'type', message: 'Expected number, got string' },
+    ]);
+  });
+
+  it('Validates patternProperties schemas', () => {
+    const schema = {
+      type: 'object',
+      patternProperties: { '^n_': { type: 'number' } },
+      additionalProperties: false,
+    };
+
+    expect(validate(schema, { n_a: 1 })).to.eql([]);
+    expect(validate(schema, { n_a: 'x', b: 1 })).to.eql([
+      { path: '$.n_a', keyword: 'type', message: 'Expected number, got string' },
+      { path: '$.b', keyword: 'additionalProperties', message: 'Is not allowed' },
+    ]);
+  });
+
+  it('Accepts plain ECMA-262 patterns', () => {
+    const schema = {
+      type: 'object',
+      properties: { code: { type: 'string', pattern: '^[A-Z\\_]+$' } },
+      patternProperties: { '^x\\-': { type: 'number' } },
+    };
+
+    expect(validate(schema, { code: 'A_B', 'x-a': 1 })).to.eql([]);
+    expect(validate(schema, { code: 'a', 'x-a': 'b' })).to.eql([
+      { path: '$.code', keyword: 'pattern', message: 'Must match pattern ^[A-Z\\_]+$' },
+      { path: '$.x-a', keyword: 'type', message: 'Expected number, got string' },
+    ]);
+  });
+
+  it('Reports invalid patterns', () => {
+    const schema = {
+      type: 'object',
+      properties: { code: { type: 'string', pattern: '[' } },
+      patternProperties: { '(': { type: 'number' } },
+    };
+
+    expect(validate(schema, { code: 'a', b: 1 })).to.eql([
+      { path: '$.code', keyword: 'pattern', message: 'Invalid pattern [' },
+      { path: '$', keyword: 'patternProperties', message: 'Invalid pattern (' },
+    ]);
+  });
+
+  it('Validates tuple items', () => {
+    const schema = { type: 'array', prefixItems: [{ type: 'string' }, { type: 'number' }], items: false };
+    const legacy = { type: 'array', items: [{ type: 'string' }], additionalItems: { type: 'number' } };
+
+    expect(validate(schema, ['a', 1])).to.eql([]);
+    expect(validate(schema, [1, 1, 2])).to.eql([
+      { path: '$[0]', keyword: 'type', message: 'Expected string, got number' },
+      { path: '$[2]', keyword: 'items', message: 'Is not allowed' },
+    ]);
+    expect(validate(legacy, ['a', 1, 2])).to.eql([]);
+    expect(validate(legacy, ['a', 'b'])[0].path).to.equal('$[1]');
+  });
+
+  it('Allows additional properties unless forbidden', () => {
+    expect(validate({ type: 'object' }, { a: 1 })).to.eql([]);
+  });
+});
+
+
+describe('Model.validate()', () => {
+  it('Returns null for valid values', () => {
+    expect(Person.validate({ name: 'John', age: 30, role: 'admin' })).to.be.null;
+  });
+
+  it('Reports required properties', () => {
+    expect(brief(Person.validate({}))).to.eql([
+      { path: '$.name', keyword: 'required', message: 'Is required' },
+    ]);
+  });
+
+  it('Reports unknown properties if additionalProperties is false', () => {
+    expect(brief(Person.validate({ name: 'John', nick: 'Johnny' }))).to.eql([
+      { path: '$.nick', keyword: 'additionalProperties', message: 'Is not allowed' },
+    ]);
+  });
+
+  it('Checks numeric ranges', () => {
+    const errors = brief(Person.validate({ name: 'John', age: -1 }));
+
+    expect(errors).to.eql([
+      { path: '$.age', keyword: 'minimum', message: 'Must be >= 0' },
+    ]);
+    expect(Person.validate({ name: 'John', age: 200 })[0].keyword).to.equal('maximum');
+  });
+
+  it('Checks string length and pattern', () => {
+    expect(Person.validate({ name: 'J' })[0].keyword).to.equal('minLength');
+    expect(Person.validate({ name: 'John Jacob Jingleheimer' })[0].keyword).to.equal('maxLength');
+    expect(brief(Person.validate({ name: 'John', email: 'nope' }))).to.eql([
+      { path: '$.email', keyword: 'pattern', message: 'Must match pattern ^[^@]+@[^@]+$' },
+    ]);
+  });
+
+  it('Builds and validates models with plain ECMA-262 patterns', () => {
+    class Labels extends TypedModel {
+      static props = {
+        'code': { type: 'string', pattern: '^[A-Z\\_]+$' },
+      };
+      static schema = {
+        patternProperties: { '^x\\_': { type: 'string' } },
+      };
+    }
+
+    expect(new Labels({ code: 'A_B', x_a: 'b' }, { strict: true }).x_a).to.equal('b');
+    expect(Labels.validate({ code: 'A_B', x_a: 'b' })).to.be.null;
+    expect(brief(Labels.validate({ code: 'ab' }))).to.eql([
+      { path: '$.code', keyword: 'pattern', message: 'Must match pattern ^[A-Z\\_]+$' },
+    ]);
+  });
+
+  it('Checks enums', () => {
+    expect(brief(Person.validate({ name: 'John', role: 'owner' }))).to.eql([
+      { path: '$.role', keyword: 'enum', message: 'Must be one of: "admin", "user"' },
+    ]);
+  });
+
+  it('Collects all errors', () => {
+    const errors = brief(Person.validate({ name: 5, age: 1.5, role: 'owner' }));
+
+    expect(errors.map(e => [e.path, e.keyword])).to.eql([
+      ['$.name', 'type'],
+      ['$.age', 'type'],
+      ['$.role', 'enum'],
+    ]);
+  });
+
+  it('Recurses into nested models and arrays', () => {
+    const errors = brief(Team.validate({
+      name: 'Devs',
+      members: [{ name: 'John' }, { name: 'J' }, {}],
+      lead: { name: 'Jack', age: 'old' },
+    }));
+
+    expect(errors.map(e => [e.path, e.keyword])).to.eql([
+      ['$.members[1].name', 'minLength'],
+      ['$.members[2].name', 'required'],
+      ['$.lead.age', 'type'],
+    ]);
+  });
+
+  it('Checks array sizes and uniqueness', () => {
+    const errors = brief(Team.validate({
+      members: [],
+      tags: ['a', 'b', 'a'],
+    }));
+
+    expect(errors.map(e => [e.path, e.keyword])).to.eql([
+      ['$.members', 'minItems'],
+      ['$.tags', 'uniqueItems'],
+    ]);
+    expect(brief(Team.validate({ members: [{ name: 'aa' }, { name: 'bb' }, { name: 'cc' }, { name: 'dd' }] })))
+      .to.eql([{ path: '$.members', keyword: 'maxItems', message: 'Must have at most 3 items' }]);
+  });
+
+  it('Follows $ref to the current model', () => {
+    const errors = brief(Team.validate({
+      name: 'Devs',
+      parent: { name: 'Company', parent: { name: 3 } },
+    }));
+
+    expect(errors).to.eql([
+      { path: '$.parent.parent.name', keyword: 'type', message: 'Expected string, got number' },
+    ]);
+  });
+
+  it('Reports type mismatch for nested models', () => {
+    expect(brief(Team.validate({ lead: 'John' }))).to.eql([
+      { path: '$.lead', keyword: 'type', message: 'Expected Person, got string' },
+    ]);
+  });
+
+  it('Accepts model instances as values', () => {
+    const lead = new Person({ name: 'Jack' });
+
+    expect(Team.validate({ lead })).to.be.null;
+  });
+});
+
+
+describe('Issues', () => {
+  it('Have the same form as ValidationError issues', () => {
+    expect(Team.validate({ members: [{ name: 'John', age: -1 }] })).to.eql([
+      {
+        path: ['members', 0, 'age'],
+        pointer: '/members/0/age',
+        keyword: 'minimum',
+        expected: 0,
+        actual: -1,
+        message: 'Must be >= 0',
+      },
+    ]);
+  });
+});
+
+
+describe('validate()', () => {
+  it('Validates the model instance', () => {
+    const person = new Person({ name: 'John', age: 30 });
+
+    expect(person.validate()).to.be.null;
+
+    person.age = -5;
+    expect(brief(person.validate())).to.eql([
+      { path: '$.age', keyword: 'minimum', message: 'Must be >= 0' },
+    ]);
+  });
+});
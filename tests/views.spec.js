@@ -0,0 +1,173 @@
+const { expect } = require('chai');
+const { TypedModel } = require('../lib/TypedModel');
+const { dumpView } = require('../lib/views');
+
+
+class Address extends TypedModel {
+  static props = {
+    'city': {type: 'string'},
+    'street': {type: 'string', groups: ['private']},
+  };
+}
+
+
+class User extends TypedModel {
+  static options = { naming: 'snake' };
+  static props = {
+    'userName': {type: 'string', groups: ['public', 'admin']},
+    'passwordHash': {type: 'string', writeOnly: true},
+    'isStaff': {type: 'boolean', groups: ['admin']},
+    'joined': {type: 'string', format: 'date'},
+    'address': {type: Address},
+    'friends': {type: 'array', items: {$ref: '#'}},
+    'label': {type: 'string', compute: u => `@${u.userName}`},
+  };
+}
+
+
+describe('serialization views', () => {
+  it('Accepts writeOnly props but does not dump them', () => {
+    const user = new User({
+      user_name: 'john',
+      password_hash: 'secret',
+      is_staff: true,
+      joined: '2020-01-01',
+      address: { city: 'Warsaw', street: 'Main' },
+      friends: [
+        { user_name: 'jack', password_hash: 'hash', address: { city: 'Cracow', street: 'Long' } },
+      ],
+    });
+
+    expect(user.passwordHash).to.equal('secret');
+    expect(user.friends[0].passwordHash).to.equal('hash');
+    expect(user.asObject()).to.eql({
+      user_name: 'john',
+      is_staff: true,
+      joined: '2020-01-01',
+      address: { city: 'Warsaw', street: 'Main' },
+      friends: [{
+        user_name: 'jack',
+        is_staff: undefined,
+        joined: undefined,
+        address: { city: 'Cracow', street: 'Long' },
+        friends: [],
+        label: '@jack',
+      }],
+      label: '@john',
+    });
+    expect(user.asJsonStr()).not.to.include('secret');
+  });
+
+  it('Dumps writeOnly props on request', () => {
+    const user = new User({
+      password_hash: 'secret',
+      friends: [{ user_name: 'jack', password_hash: 'hash' }],
+    });
+
+    expect(user.asObject({ includeWriteOnly: true }).password_hash).to.equal('secret');
+    expect(JSON.parse(user.asJsonStr(2, { includeWriteOnly: true })).friends[0].password_hash)
+      .to.equal('hash');
+  });
+
+  it('Dumps only the included props', () => {
+    const user = new User({
+      user_name: 'john',
+      password_hash: 'secret',
+      address: { city: 'Warsaw', street: 'Main' },
+      friends: [{ user_name: 'jack' }],
+    });
+
+    expect(user.asObject({ include: ['userName', 'address.city', 'friends.userName'] })).to.eql({
+      user_name: 'john',
+      address: { city: 'Warsaw' },
+      friends: [{ user_name: 'jack' }],
+    });
+    expect(user.asObject({ include: ['address', 'address.city', 'passwordHash'] })).to.eql({
+      password_hash: 'secret',
+      address: { city: 'Warsaw', street: 'Main' },
+    });
+  });
+
+  it('Leaves out the excluded props', () => {
+    const user = new User({
+      user_name: 'john',
+      is_staff: true,
+      joined: '2020-01-01',
+      address: { city: 'Warsaw', street: 'Main' },
+      friends: [{ user_name: 'jack', address: { city: 'Cracow', street: 'Long' } }],
+    });
+    const result = user.asObject({ exclude: ['isStaff', 'joined', 'label', 'friends', 'address.street'] });
+
+    expect(result).to.eql({ user_name: 'john', address: { city: 'Warsaw' } });
+    expect(user.asObject({ exclude: ['friends.address'] }).friends[0]).not.to.have.property('address');
+  });
+
+  it('Dumps only the props in the given groups', () => {
+    const user = new User({
+      user_name: 'john',
+      is_staff: true,
+      joined: '2020-01-01',
+      address: { city: 'Warsaw', street: 'Main' },
+    });
+
+    expect(user.asObject({ groups: ['public'], exclude: ['friends'] })).to.eql({
+      user_name: 'john',
+      joined: '2020-01-01',
+      address: { city: 'Warsaw' },
+      label: '@john',
+    });
+    expect(user.asObject({ groups: ['admin'], include: ['isStaff', 'address'] })).to.eql({
+      is_staff: true,
+      address: { city: 'Warsaw' },
+    });
+  });
+
+  it('Overrides the includeComputed option', () => {
+    const user = new User({ user_name: 'john', friends: [{ user_name: 'jack' }] });
+
+    expect(user.asObject({ includeComputed: false })).not.to.have.property('label');
+    expect(user.asObject({ includeComputed: false }).friends[0]).not.to.have.property('label');
+  });
+
+  it('Dumps arrays of models and formats', () => {
+    class Calendar extends TypedModel {
+      static props = {
+        'days': {type: 'array', items: {type: 'string', format: 'date'}},
+        'matrix': {type: 'array', items: [{type: 'string'}]},
+      };
+    }
+
+    const calendar = new Calendar({ days: ['2020-01-01'], matrix: ['a'] });
+    expect(calendar.asObject()).to.eql({ days: ['2020-01-01'], matrix: ['a'] });
+  });
+
+  it('Keeps writeOnly props in patches and validation', () => {
+    const user = new User({ user_name: 'john', password_hash: 'secret' });
+
+    user.applyPatch([{ op: 'replace', path: '/user_name', value: 'jill' }]);
+    expect(user.userName).to.equal('jill');
+    expect(user.passwordHash).to.equal('secret');
+
+    class Login extends TypedModel {
+      static schema = { required: ['password'] };
+      static props = {
+        'password': {type: 'string', writeOnly: true},
+      };
+    }
+    expect(new Login({ password: 'x' }).validate()).to.be.null;
+  });
+
+  it('Leaves the view keywords out of the schema', () => {
+    const schema = User.getSchema();
+
+    expect(schema.properties.user_name).to.eql({ type: 'string' });
+    expect(schema.properties.password_hash).to.eql({ type: 'string', writeOnly: true });
+  });
+
+  it('Builds the path trees', () => {
+    expect(dumpView({ include: ['a', 'a.b', 'a.b.c', 'c.d', 'c.e'], exclude: ['x.y.z'] })).to.eql({
+      include: { a: true, c: { d: true, e: true } },
+      exclude: { x: { y: { z: true } } },
+    });
+  });
+});